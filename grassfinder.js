@@ -0,0 +1,1522 @@
+// --- Grass offset cracker ---
+// Finds the world positions whose offset hashes reproduce a set of observed foliage offsets.
+// Plain data in, matches out: the samples come from sampleRow() / rowsFromData(), and nothing
+// here touches the DOM, so the same module drives the browser UI (main.js) and the command
+// line tool (grassfinder_cli.js).
+
+import { prepareLattice, scanLatticeRoots, LATTICE_ROOTS } from './grassfinder_lattice.js';
+import { normalizeRegion, regionBoxes, regionSpans, regionContains, clipSpans, spanCells, ringBoxes, ringCells, boxCells } from './grassfinder_region.js';
+import { BUILTIN_HASHES, normalizeHash, hashOffset, hashRows } from './grassfinder_hash.js';
+import { FOLIAGE, foliageMaskFor, isPointedDripstone } from './grassfinder_data.js';
+import { createWorkerPool } from './grassfinder_pool.js';
+
+function clamp(v, a, b){ return Math.max(a, Math.min(b, v)); }
+
+// --- Host ---
+// What the cracker needs from its environment. The defaults suit a browser page;
+// grassfinder_node.js swaps in worker_threads for Node.
+const host = {
+  hasWorkers: () => typeof Worker !== 'undefined',
+  createWorker: () => new Worker(new URL('./grassfinder_worker.js', import.meta.url), { type: 'module' }),
+  hardwareConcurrency: () => globalThis.navigator?.hardwareConcurrency ?? 1,
+  // Single-threaded scans run one chunk per call.
+  nextFrame: (fn) => (typeof requestAnimationFrame === 'function') ? requestAnimationFrame(fn) : setTimeout(fn, 0),
+  // Whether workers can share memory: pages need cross-origin isolation for SharedArrayBuffer.
+  sharedMemory: () => globalThis.crossOriginIsolated === true && typeof SharedArrayBuffer === 'function',
+};
+
+/**
+ * Replace some of the host hooks. A created worker only needs `postMessage`, `terminate`,
+ * `onmessage` (called with `{ data }`) and `onerror`; optional `ref` / `unref` tell it whether
+ * it has work (Node uses them to let the process exit while the pool is idle).
+ * The worker pool is shut down, so the next crack starts one with the new hooks.
+ *
+ * @param {{hasWorkers?:() => boolean, createWorker?:() => object, hardwareConcurrency?:() => number, nextFrame?:(fn:Function) => void, sharedMemory?:() => boolean}} hooks
+ */
+export function configureHost(hooks){
+  for (const k of Object.keys(hooks || {})) {
+    if (!(k in host)) throw new Error(`Unknown cracker host hook "${k}".`);
+    if (typeof hooks[k] !== 'function') throw new Error(`Cracker host hook "${k}" must be a function.`);
+    host[k] = hooks[k];
+  }
+  shutdownWorkerPool();
+}
+
+const hostThreads = () => Math.max(1, Math.min(16, (host.hardwareConcurrency()|0) || 1));
+
+// --- Worker pool ---
+// Started with the first crack (or task) that uses workers and kept for the next ones, so
+// workers and their WASM builds only load once (see grassfinder_pool.js).
+let pool = null;
+
+function workerPool(){
+  pool ??= createWorkerPool({ createWorker: host.createWorker, size: hostThreads(), shared: host.sharedMemory() });
+  return pool;
+}
+
+/** Terminates the pool's workers (failing whatever runs on them); the next crack starts a new pool. */
+export function shutdownWorkerPool(){
+  pool?.terminate();
+  pool = null;
+}
+
+/**
+ * Candidates the pool's workers checked and how fast, per worker and in total, or null before
+ * the pool started. Rates count the time a worker spent on tiles.
+ *
+ * @returns {{workers:{cells:number, tiles:number, busyMs:number, cellsPerSecond:number}[], shared:boolean, cells:number, cellsPerSecond:number} | null}
+ */
+export function workerPoolStats(){
+  return pool ? pool.stats() : null;
+}
+
+// --- Offset hash registry ---
+// Named hash definitions (see grassfinder_hash.js); a crack's `version` is one of their ids.
+// The built-in vanilla formulas are fixed, custom ones (modded clients, forks, custom servers)
+// are added with registerHash().
+const hashRegistry = new Map(BUILTIN_HASHES.map(h => [h.id, h]));
+
+// Versions 'auto' cracks in one scan: the built-in formulas.
+const CRACK_VERSIONS = BUILTIN_HASHES.map(h => h.id);
+
+function isReservedHashId(id){
+  return id === 'auto' || CRACK_VERSIONS.includes(id);
+}
+
+// Validates and adds (or replaces) custom hash definitions, one or a list. Throws on bad
+// definitions or reserved ids, in which case none of them are added.
+export function registerHash(defs){
+  const list = (Array.isArray(defs) ? defs : [defs]).map(normalizeHash);
+  for (const h of list) {
+    if (isReservedHashId(h.id)) throw new Error(`Hash id "${h.id}" is reserved.`);
+  }
+  for (const h of list) hashRegistry.set(h.id, h);
+  return list;
+}
+
+export function unregisterHash(id){
+  return !isReservedHashId(id) && hashRegistry.delete(id);
+}
+
+export function listHashes(){
+  return [...hashRegistry.values()];
+}
+
+export function hashById(id){
+  return hashRegistry.get(id) ?? null;
+}
+
+// Packed 12-bit offset (X | Y << 4 | Z << 8) of block (x, y, z) under a registered version.
+export function packedGrassOffset(x, y, z, version){
+  const hash = hashById(version);
+  if (!hash) throw new Error(`Unknown hash formula "${version}".`);
+  return hashOffset(x, y, z, hash);
+}
+
+// Whether cracking `version` needs only one Y layer: its hash ignores Y. Auto mode also
+// cracks Y-aware formulas, so it never does.
+export function versionIgnoresY(version){
+  return version !== 'auto' && !!hashById(version)?.ignoreY;
+}
+
+// --- Pointed dripstone equivalence handling ---
+// In vanilla, pointed dripstone's final X/Z positions clamp such that indices 0..3 are
+// indistinguishable (all behave like "negative edge") and 12..15 are indistinguishable
+// ("positive edge"). The cracker must treat those as equivalence classes, otherwise
+// real-world data can produce zero matches.
+function dripstoneNibbleMatches(pred, expected){
+  const p = pred & 15;
+  const e = expected & 15;
+  if (e <= 3) return p <= 3;
+  if (e >= 12) return p >= 12;
+  return p === e;
+}
+
+function dripstoneNibbleDistance(pred, expected){
+  const p = pred & 15;
+  const e = expected & 15;
+  if (e <= 3) {
+    // distance to nearest of {0,1,2,3}
+    if (p <= 3) return 0;
+    return p - 3;
+  }
+  if (e >= 12) {
+    // distance to nearest of {12,13,14,15}
+    if (p >= 12) return 0;
+    return 12 - p;
+  }
+  return Math.abs(p - e);
+}
+
+// Score a predicted packed offset against an expected packed offset.
+// `mask` is a 12-bit nibble mask: if an axis nibble is 0, that axis is ignored.
+// This is used to support blocks like tall grass (OffsetType.XZ) where Y is unobservable.
+//
+// Pointed dripstone note:
+// Vanilla generates offsets on the standard 0..15 grid and then clamps the *final* position.
+// That means the underlying nibble indices 0..3 are indistinguishable (all clamp to -1/8),
+// and 12..15 are indistinguishable (all clamp to +1/8). When cracking, we must therefore
+// treat those index ranges as equivalence classes rather than exact values.
+
+function scorePacked(predPacked, expectedPacked, mask, tol, isDripstone){
+  // tol in {0,1,2}
+  let score = 0;
+  const drip = !!isDripstone;
+  for (let axis = 0; axis < 3; axis++) {
+    const nibMask = (mask >> (axis * 4)) & 15;
+    if (nibMask === 0) continue;
+    const p = (predPacked >> (axis * 4)) & 15;
+    const e = (expectedPacked >> (axis * 4)) & 15;
+    const d = (drip && axis !== 1) ? dripstoneNibbleDistance(p, e) : Math.abs(p - e);
+    if (d <= tol) score += d;
+    else score += d * d;
+  }
+  return score;
+}
+
+// One cracker sample: a block, its foliage kind and its observed 0..15 offsets.
+export function sampleRow(id, pos, kind, off){
+  return {
+    id,
+    pos: { x: pos.x|0, y: pos.y|0, z: pos.z|0 },
+    kind,
+    isDripstone: isPointedDripstone(kind),
+    // For tall grass (OffsetType.XZ), Y is not observable in-game.
+    // We keep a 12-bit mask so the solver can ignore Y constraints for tall grass samples.
+    mask: foliageMaskFor(FOLIAGE.byId.get(kind)?.offsetType ?? 'XYZ'),
+    packed: ((off.x|0) | ((off.y|0) << 4) | ((off.z|0) << 8)) >>> 0,
+  };
+}
+
+// Cracker samples from parsed offset data (parseGrassDataStrict() rows), numbered 1.. in order.
+// Cubes are visual-only reference blocks and are left out.
+export function rowsFromData(rows){
+  return rows
+    .filter(r => r.kind !== 'CUBE')
+    .map((r, i) => sampleRow(i + 1, { x: r.bx, y: r.by, z: r.bz }, r.kind, { x: r.ox, y: r.oy, z: r.oz }));
+}
+
+/**
+ * Forward mode: the vanilla 0..15 offsets of each block under a registered version. The Y
+ * offset of XZ-only foliage comes out as 15, like exported offset data.
+ *
+ * @param {{x:number, y:number, z:number, kind?:string}[]} blocks
+ * @returns {{x:number, y:number, z:number, kind:string, off:{x:number, y:number, z:number}}[]}
+ */
+export function forwardOffsets(blocks, version){
+  if (!hashById(version)) throw new Error(`Unknown hash formula "${version}".`);
+  return blocks.map(b => forwardRow(b, packedGrassOffset(b.x, b.y, b.z, version)));
+}
+
+function forwardRow(b, p){
+  const kind = FOLIAGE.byId.has(b.kind) ? b.kind : 'SHORT_GRASS';
+  const yLocked = (FOLIAGE.byId.get(kind).offsetType === 'XZ');
+  return { x: b.x|0, y: b.y|0, z: b.z|0, kind, off: { x: p & 15, y: yLocked ? 15 : (p >> 4) & 15, z: (p >> 8) & 15 } };
+}
+
+// Blocks per pool task of forwardOffsetsAsync(); shorter lists stay on the calling thread.
+const FORWARD_TASK_BLOCKS = 50000;
+
+/**
+ * forwardOffsets() for long block lists: computed on the worker pool, split across its
+ * workers, next to a running crack. Same result; without workers it runs here.
+ */
+export async function forwardOffsetsAsync(blocks, version){
+  const hash = hashById(version);
+  if (!hash) throw new Error(`Unknown hash formula "${version}".`);
+  if (!host.hasWorkers() || blocks.length <= FORWARD_TASK_BLOCKS) return forwardOffsets(blocks, version);
+
+  const workers = workerPool();
+  const per = Math.max(FORWARD_TASK_BLOCKS, Math.ceil(blocks.length / workers.size));
+  const parts = [];
+  for (let start = 0; start < blocks.length; start += per) {
+    const part = blocks.slice(start, start + per);
+    const positions = new Int32Array(part.length * 3);
+    part.forEach((b, i) => { positions[3 * i] = b.x; positions[3 * i + 1] = b.y; positions[3 * i + 2] = b.z; });
+    parts.push(workers.task({ type: 'offsets', hash, positions }, [positions.buffer]));
+  }
+  const packed = (await Promise.all(parts)).flatMap(r => Array.from(r.offsets));
+  return blocks.map((b, i) => forwardRow(b, packed[i]));
+}
+
+// --- Held-out verification ---
+// A match puts the cracked dataset's first sample (`origin`, in editor coordinates) at
+// (match.x, match.y, match.z). Samples that took no part in the crack are moved into the world
+// the same way and compared with the offsets the match's hash predicts there, which confirms
+// (or rules out) a candidate without scanning again.
+const AXIS_NAMES = ['X', 'Y', 'Z'];
+
+/**
+ * @returns {{samples:{id:number, kind:string, world:{x,y,z}, predicted:number, ok:boolean,
+ *   wrongAxes:string[]}[], agree:number, pass:boolean}}
+ */
+export function verifyMatch(match, samples, origin){
+  const hash = hashById(match?.version);
+  if (!hash) throw new Error(`Unknown hash formula "${match?.version}".`);
+  const results = samples.map(r => {
+    const world = {
+      x: (match.x + r.pos.x - origin.x) | 0,
+      y: (match.y + r.pos.y - origin.y) | 0,
+      z: (match.z + r.pos.z - origin.z) | 0,
+    };
+    const predicted = hashOffset(world.x, world.y, world.z, hash);
+    const wrongAxes = [];
+    for (let axis = 0; axis < 3; axis++) {
+      if (((r.mask >>> (axis * 4)) & 15) === 0) continue;
+      const pn = (predicted >>> (axis * 4)) & 15;
+      const en = (r.packed >>> (axis * 4)) & 15;
+      const ok = (r.isDripstone && axis !== 1) ? dripstoneNibbleMatches(pn, en) : (pn === en);
+      if (!ok) wrongAxes.push(AXIS_NAMES[axis]);
+    }
+    return { id: r.id, kind: r.kind, world, predicted, ok: !wrongAxes.length, wrongAxes };
+  });
+  const agree = results.filter(s => s.ok).length;
+  return { samples: results, agree, pass: results.length > 0 && agree === results.length };
+}
+
+// --- Information / false-positive estimate ---
+// At a wrong position the hash predicts effectively random nibbles, so every observed nibble
+// has a known chance of passing anyway: 1/16 for an exact nibble (4 bits of information),
+// 4/16 for a dripstone plateau (2 bits), more when scored mode tolerates near misses.
+// Multiplying those chances (summing bits) gives the false-positive rate per searched cell.
+// Hashes that ADD the seed parts (b1.6-tb3) put a ceiling on that: every sample's seed is the
+// origin's plus a constant, and the offset only depends on the seed's low shift+12 bits, so a
+// wrong position whose seed agrees with the right one on those bits passes every sample.
+
+// How many of the 16 possible predicted values land at each scorePacked() cost.
+function nibbleCostCounts(expected, plateau, tol){
+  const counts = [];
+  for (let p = 0; p < 16; p++) {
+    const d = plateau ? dripstoneNibbleDistance(p, expected) : Math.abs(p - expected);
+    const cost = (d <= tol) ? d : d * d;
+    counts[cost] = (counts[cost] || 0) + 1;
+  }
+  return counts;
+}
+
+// Observed nibbles of sample `r`: the key every sample fixing the same nibble shares (same
+// block, or same column for hashes without Y), the nibbleCostCounts() and the bits the nibble
+// carries on its own.
+function sampleNibbles(r, anyY, tol){
+  const key = anyY ? `${r.pos.x},${r.pos.z}` : `${r.pos.x},${r.pos.y},${r.pos.z}`;
+  const out = [];
+  for (let axis = 0; axis < 3; axis++) {
+    if (((r.mask >> (axis * 4)) & 15) === 0) continue;
+    const counts = nibbleCostCounts((r.packed >> (axis * 4)) & 15, !!r.isDripstone && axis !== 1, tol);
+    let within = 0;
+    for (let c = 0; c <= tol; c++) within += counts[c] || 0;
+    out.push({ key: `${key}:${axis}`, counts, bits: -Math.log2(within / 16) });
+  }
+  return out;
+}
+
+/**
+ * Information carried by a dataset.
+ * Returns per-sample bits (in `rows` order), the total bits and `passRate(score)`:
+ * the chance that a random position matches (strict), scores <= score (scored) or has
+ * at most `score` failing samples (outliers).
+ * When the hash ignores Y (1.8+), samples sharing an X/Z column only count once per nibble.
+ * `seedBits` is the most any dataset can carry (Infinity unless the hash ADDs its seed parts).
+ */
+export function crackInformation(rows, { mode = 'strict', tolerance = 1, maxScore = 6, maxOutliers = 1, version = 'post1_12' } = {}){
+  const scored = (mode === 'scored');
+  const outliers = (mode === 'outliers');
+  const tol = scored ? clamp(Math.round(Number(tolerance)), 0, 2) : 0;
+  const cap = scored ? Math.max(0, maxScore | 0) : outliers ? Math.max(0, maxOutliers | 0) : 0;
+  // Outlier mode: fails[k] = chance that exactly k samples (so far) fail.
+  let fails = [1];
+  const anyY = versionIgnoresY(version);
+  const seen = new Set();
+  const hash = hashById(version);
+  const seedBits = (hash?.combine === 'add') ? Math.min(32, hash.shift + 12) : Infinity;
+
+  // dist[c] = chance that the nibbles seen so far add up to cost c (costs above the cap drop out).
+  let dist = [1];
+  let totalBits = 0;
+  const samples = rows.map(r => {
+    let bits = 0;
+    for (const { key, counts, bits: nibBits } of sampleNibbles(r, anyY, tol)) {
+      if (seen.has(key)) continue;
+      seen.add(key);
+      bits += nibBits;
+
+      const next = new Array(cap + 1).fill(0);
+      for (let a = 0; a < dist.length; a++) {
+        if (!dist[a]) continue;
+        for (let c = 0; c < counts.length && a + c <= cap; c++) {
+          if (counts[c]) next[a + c] += dist[a] * counts[c] / 16;
+        }
+      }
+      dist = next;
+    }
+    totalBits += bits;
+    if (outliers) {
+      const pass = 2 ** -bits;
+      const next = new Array(cap + 1).fill(0);
+      for (let k = 0; k < fails.length; k++) {
+        next[k] += fails[k] * pass;
+        if (k + 1 <= cap) next[k + 1] += fails[k] * (1 - pass);
+      }
+      fails = next;
+    }
+    return { bits };
+  });
+
+  const cumulative = [];
+  let acc = 0;
+  const perScore = outliers ? fails : dist;
+  for (let c = 0; c <= cap; c++) { acc += perScore[c] || 0; cumulative.push(acc); }
+  const passRate = (score = cap) => Math.max(2 ** -seedBits, cumulative[clamp(Math.round(Number(score) || 0), 0, cap)]);
+
+  return {
+    samples,
+    // Scored and outlier modes share their budget across samples, so this can be lower than the per-sample sum.
+    totalBits: (scored || outliers) ? -Math.log2(passRate()) : Math.min(seedBits, totalBits),
+    seedBits,
+    passRate,
+  };
+}
+
+// Expected chance matches over `cells` searched positions, and a warning when that's 1 or more.
+// Version 'auto' adds up the estimates of every version; `opts.layers` is the number of Y layers
+// in `cells`, since a hash that ignores Y (1.8+) only sees one of them.
+export function crackEstimate(rows, cells, opts = {}){
+  let info;
+  if (opts.version === 'auto') {
+    const layers = Math.max(1, opts.layers || 1);
+    const parts = CRACK_VERSIONS.map(version => crackEstimate(rows, hashById(version).ignoreY ? cells / layers : cells, { ...opts, version }));
+    cells = parts.reduce((a, p) => a + p.cells, 0);
+    const passRate = (score) => parts.reduce((a, p) => a + p.cells * p.passRate(score), 0) / cells;
+    // Per-sample bits of a Y-aware version (one that ignores Y can only have fewer).
+    const yAware = parts.find((p, i) => !hashById(CRACK_VERSIONS[i]).ignoreY) ?? parts[0];
+    info = { samples: yAware.samples, totalBits: -Math.log2(passRate()), seedBits: Math.max(...parts.map(p => p.seedBits)), passRate };
+  } else {
+    info = crackInformation(rows, opts);
+  }
+  const expectedFalse = cells * info.passRate();
+  const neededBits = Math.log2(Math.max(1, cells));
+  // More samples don't help once the dataset is at the hash's ceiling.
+  const advice = (info.totalBits >= info.seedBits - 1e-9)
+    ? `This version's offsets carry at most ${info.seedBits} bits; shrink the area.`
+    : 'Add more samples or shrink the area.';
+  const warning = (expectedFalse >= 1)
+    ? `Weak dataset: about ${formatExpected(expectedFalse)} random matches expected over this area ` +
+      `(${info.totalBits.toFixed(1)} bits of information, ${neededBits.toFixed(1)} needed). ${advice}`
+    : null;
+  return { ...info, cells, neededBits, expectedFalse, warning };
+}
+
+export function formatExpected(n){
+  if (n >= 100) return Math.round(n).toLocaleString();
+  if (n >= 0.01) return n.toFixed(2);
+  return n.toExponential(1);
+}
+
+// Candidates per second, e.g. "12.3 M/s".
+export function formatRate(perSecond){
+  if (perSecond >= 1e9) return `${(perSecond / 1e9).toFixed(2)} G/s`;
+  if (perSecond >= 1e6) return `${(perSecond / 1e6).toFixed(1)} M/s`;
+  if (perSecond >= 1e3) return `${(perSecond / 1e3).toFixed(0)} k/s`;
+  return `${Math.round(perSecond)}/s`;
+}
+
+// A duration in the two largest units, e.g. "3m 05s" or "2d 4h".
+export function formatDuration(ms){
+  if (!Number.isFinite(ms)) return 'unknown';
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s}s`;
+  const pad = (n) => String(n).padStart(2, '0');
+  if (s < 3600) return `${Math.floor(s / 60)}m ${pad(s % 60)}s`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ${pad(Math.floor(s / 60) % 60)}m`;
+  if (s < 365 * 86400) return `${Math.floor(s / 86400)}d ${Math.floor(s / 3600) % 24}h`;
+  return `${(s / (365 * 86400)).toFixed(1)} years`;
+}
+
+// --- Crack timing ---
+// Rates and the ETA are taken over the last RATE_WINDOW_MS of running time, so they follow
+// slow and fast parts of a scan; paused time doesn't count anywhere.
+const RATE_WINDOW_MS = 5000;
+
+// Meter of one crack that started at `done0` (a resumed session's progress).
+function crackMeter(pause, done0 = 0){
+  const t0 = performance.now();
+  let pausedMs = 0;
+  let pausedSince = pause?.paused ? t0 : null;
+  const offPause = pause?.subscribe(p => {
+    const now = performance.now();
+    if (p) pausedSince ??= now;
+    else if (pausedSince != null) { pausedMs += now - pausedSince; pausedSince = null; }
+  });
+  const activeMs = () => (pausedSince ?? performance.now()) - t0 - pausedMs;
+  // [running ms, done] samples within the window.
+  const recent = [[0, done0]];
+  let done = done0;
+
+  return {
+    // Timing fields of a progress report.
+    sample(d, total){
+      const ms = activeMs();
+      done = d;
+      recent.push([ms, d]);
+      while (recent.length > 2 && ms - recent[1][0] >= RATE_WINDOW_MS) recent.shift();
+      const [ms0, d0] = recent[0];
+      const cellsPerSecond = (ms > ms0) ? (d - d0) / (ms - ms0) * 1000 : 0;
+      return { elapsedMs: ms, cellsPerSecond, etaMs: cellsPerSecond > 0 ? Math.max(0, total - d) / cellsPerSecond * 1000 : null };
+    },
+    // Totals of the finished crack.
+    finish(){
+      offPause?.();
+      const elapsedMs = activeMs();
+      const cells = done - done0;
+      return { cells, elapsedMs, wallMs: performance.now() - t0, cellsPerSecond: elapsedMs > 0 ? cells / elapsedMs * 1000 : 0 };
+    },
+  };
+}
+
+// --- Worker implementation (optional) ---
+// External module worker (WASM-backed), ./grassfinder_worker.js next to this module.
+
+// Minimum interval between onCheckpoint() calls while workers report progress.
+const CHECKPOINT_EVERY_MS = 2000;
+
+// Pool job tiles: candidates per tile, box tile width, and lattice roots per tile.
+const TILE_CELLS = 1 << 18;
+const TILE_WIDTH = 512;
+const LATTICE_TILE_ROOTS = 64;
+
+// Largest box-scan search area: 2*MAX_BOX_RADIUS+1 blocks across per shape (the lattice has no limit).
+export const MAX_BOX_RADIUS = 100000;
+
+// Search area of a crack: the region (default: the center/radius square), its bounding box,
+// the disjoint boxes around its shapes that scans walk (see regionBoxes()) and the number of
+// blocks it covers. `countColumns` counts the blocks column by column; without it (lattice
+// solver) `cells` is the area of the boxes, since the region isn't walked.
+// Throws on a malformed region, or a shape wider than the box scan allows.
+export function searchArea({ centerX, centerZ, radius, region = null, countColumns = true }){
+  const spec = region ?? {
+    type: 'rect',
+    x0: Math.floor(centerX - radius), x1: Math.floor(centerX + radius),
+    z0: Math.floor(centerZ - radius), z1: Math.floor(centerZ + radius),
+  };
+  const reg = normalizeRegion(spec);
+  const { x0, x1, z0, z1 } = reg;
+  const boxes = regionBoxes(reg);
+  if (!countColumns) {
+    return { spec, reg, x0, x1, z0, z1, boxes, cells: boxes.reduce((n, b) => n + boxCells(b), 0) };
+  }
+  let cells = 0;
+  for (const [bx0, bx1, bz0, bz1] of boxes) {
+    if (Math.max(bx1 - bx0, bz1 - bz0) > 2 * MAX_BOX_RADIUS) {
+      throw new Error(`The search region is too large for the box scan (max ${2 * MAX_BOX_RADIUS + 1} blocks across). Use the lattice solver.`);
+    }
+    for (let x = bx0; x <= bx1; x++) cells += spanCells(clipSpans(regionSpans(reg, 'col', x), bz0, bz1));
+  }
+  return { spec, reg, x0, x1, z0, z1, boxes, cells };
+}
+
+// Crack settings: default and accepted range of each numeric limit.
+const CRACK_SETTINGS = {
+  tolerance:   { default: 1,    min: 0, max: 2 },
+  maxScore:    { default: 6,    min: 0, max: 100 },
+  maxOutliers: { default: 1,    min: 0, max: 8 },
+  maxResults:  { default: 50,   min: 1, max: 10000 },
+  maxMatches:  { default: 2000, min: 1, max: 100000 },
+  stopAfter:   { default: 0,    min: 0, max: 100000 },
+};
+
+// Validate a run's settings (missing ones take the default) and return the settings it will
+// use. Throws listing every invalid value.
+export function crackSettings(raw = {}){
+  const mode = raw.matchMode ?? 'strict';
+  if (mode !== 'strict' && mode !== 'scored' && mode !== 'outliers') {
+    throw new Error(`Unknown match mode "${mode}".`);
+  }
+  const out = { matchMode: mode };
+  const errors = [];
+  for (const [key, spec] of Object.entries(CRACK_SETTINGS)) {
+    const v = (raw[key] == null || raw[key] === '') ? spec.default : Number(raw[key]);
+    if (!Number.isInteger(v) || v < spec.min || v > spec.max) {
+      errors.push(`${key} must be a whole number from ${spec.min} to ${spec.max}`);
+    } else {
+      out[key] = v;
+    }
+  }
+  if (errors.length) throw new Error(`Invalid crack settings: ${errors.join('; ')}.`);
+  return out;
+}
+
+// Public entry point: scanCrack() plus the information estimate. Every match gets
+// `expectedFalse` (how many positions at least this good chance alone would produce over
+// the area) and `likelihood` (a rough chance it isn't a coincidence, assuming the real spot
+// is inside the area). The result records the validated settings the run used.
+//
+// onProgress reports carry the timing too: `elapsedMs` (paused time left out), the recent
+// `cellsPerSecond`, `etaMs` (null until there's a rate) and `workers`, each pool worker's
+// `{worker, build, scanners, cells, cellsPerSecond}` for this crack (empty on the main thread);
+// `scanners` lists the engines its scans ran on, 'wasm' and/or 'js'. The
+// result's `stats` has the totals of the run, so machines and engines can be compared:
+// `{engine, cores, workers, cells, total, elapsedMs, wallMs, cellsPerSecond}`. Cells are
+// candidate positions, or roots for the lattice solver.
+export async function crack(params){
+  let settings;
+  try {
+    settings = crackSettings(params);
+  } catch (err) {
+    return { matches: [], warning: String(err?.message || err) };
+  }
+  let estimate = null;
+  const annotate = (m) => {
+    // The lattice solver doesn't tag its matches (it never runs in auto mode).
+    m.version ??= params.version;
+    if (!estimate) return;
+    m.expectedFalse = estimate.cells * estimate.passRate(m.score);
+    m.likelihood = 1 / (1 + m.expectedFalse);
+  };
+  const { onProgress, onEstimate } = params;
+  const meter = crackMeter(params.pause, Number(params.resumeTiles?.done) || 0);
+  let total = 0;
+  let workers = [];
+  const { workers: finalWorkers, ...res } = await scanCrack({
+    ...params,
+    ...settings,
+    onEstimate: (e) => { estimate = e; onEstimate?.(e); },
+    onProgress: (p) => {
+      total = p.total;
+      workers = p.workers ?? [];
+      const timing = meter.sample(p.done, p.total);
+      if (!onProgress) return;
+      p.newMatches?.forEach(annotate);
+      onProgress({ ...p, ...timing, workers });
+    },
+  });
+  res.matches.forEach(annotate);
+  const engine = !finalWorkers ? 'main-thread' : (params.engine === 'js') ? 'workers-js' : 'workers';
+  const stats = { engine, cores: hostThreads(), workers: finalWorkers ?? workers, ...meter.finish(), total };
+  return { ...res, estimate, settings, stats };
+}
+
+// --- Pre-flight estimate ---
+// How many candidates a crack covers and about how long it takes here, before it starts. The
+// box scan is timed by cracking a small area around the center with the same settings and
+// engine (the first run also starts the worker pool); the lattice solver, whose cost is per
+// root and barely depends on the area, by timing a spread of roots on this thread.
+
+// Cracks smaller than this aren't timed (well under a minute on any engine).
+const PREFLIGHT_MIN_CELLS = 1 << 24;
+// Rough length of the timed run, and at most how many runs it takes to settle.
+const PREFLIGHT_MS = 300;
+const PREFLIGHT_RUNS = 6;
+const PREFLIGHT_START_RADIUS = 16;
+
+/**
+ * @returns {Promise<{cells:number, layers:number, solver:string, engine:string|null,
+ *   cellsPerSecond:number|null, estimatedMs:number|null, estimate:object}>}
+ *   `cells`: candidate positions (area x Y layers). `estimatedMs` is null for cracks too small
+ *   to time, or when the timed run found nothing to measure.
+ *   Throws on settings or a region crack() would reject.
+ */
+export async function crackPreflight(params){
+  const settings = crackSettings(params);
+  const { rows, version, centerX, centerZ, radius, region = null } = params;
+  if (!Array.isArray(rows) || rows.length < 2) throw new Error('Add at least 2 blocks to crack coordinates.');
+  const hash = hashById(version === 'auto' ? CRACK_VERSIONS[0] : version);
+  if (!hash) throw new Error(`Unknown hash formula "${version}".`);
+  const solver = (params.solver === 'lattice') ? 'lattice' : 'box';
+  if (solver === 'lattice' && settings.matchMode !== 'strict') throw new Error('The lattice solver only supports strict match mode.');
+  if (solver === 'lattice' && version === 'auto') throw new Error('The lattice solver needs a known version; use the box scan for auto.');
+  const area = searchArea({ centerX, centerZ, radius, region, countColumns: solver !== 'lattice' });
+  const y0 = Math.floor(Math.min(params.yMin, params.yMax));
+  const layers = versionIgnoresY(version) ? 1 : Math.abs(Math.floor(params.yMax) - Math.floor(params.yMin)) + 1;
+  const cells = area.cells * layers;
+  const mode = settings.matchMode;
+  const estimate = crackEstimate(rows, cells, { mode, tolerance: settings.tolerance, maxScore: settings.maxScore, maxOutliers: settings.maxOutliers, version, layers });
+  const result = { cells, layers, solver, engine: null, cellsPerSecond: null, estimatedMs: null, estimate };
+  if (cells < PREFLIGHT_MIN_CELLS) return result;
+
+  if (solver === 'lattice') {
+    const { relLen, ...rel } = relSamples(rows, { mode, tolerance: settings.tolerance, version });
+    const ctx = prepareLattice({ ...rel, hash, anyY: hash.ignoreY });
+    const bounds = { x0: area.x0, x1: area.x1, z0: area.z0, z1: area.z1, contains: null };
+    // Roots spread over the whole range, since neighbouring roots cost about the same.
+    const stride = 127;
+    const t0 = performance.now();
+    let roots = 0;
+    while (performance.now() - t0 < PREFLIGHT_MS && roots < LATTICE_ROOTS) {
+      const root = (roots * stride) % LATTICE_ROOTS;
+      scanLatticeRoots(ctx, bounds, y0, root, root + 1, [], settings.maxMatches);
+      roots++;
+    }
+    const perRootMs = (performance.now() - t0) / roots;
+    const threads = (params.useWorkers !== false && host.hasWorkers() && hostThreads() > 1) ? hostThreads() : 1;
+    result.engine = (threads > 1) ? 'workers' : 'main-thread';
+    result.estimatedMs = perRootMs * LATTICE_ROOTS * layers / threads;
+    result.cellsPerSecond = cells / result.estimatedMs * 1000;
+    return result;
+  }
+
+  // Same crack without the streaming and stopping options, over a square around the center.
+  const sample = { ...params, region: null, stopAfter: 0, signal: undefined, pause: undefined, resumeTiles: undefined, onProgress: undefined, onEstimate: undefined, onCheckpoint: undefined };
+  const cx = region ? Math.floor((area.x0 + area.x1) / 2) : centerX;
+  const cz = region ? Math.floor((area.z0 + area.z1) / 2) : centerZ;
+  // Start-up costs (starting the pool's workers, compiling the scanners) dominate tiny runs, so
+  // the area grows, up to 64x per run, until a run takes about PREFLIGHT_MS and its rate agrees
+  // with the one before.
+  let r = PREFLIGHT_START_RADIUS;
+  let res = null;
+  let lastRate = 0;
+  for (let run = 0; run < PREFLIGHT_RUNS; run++) {
+    res = await crack({ ...sample, centerX: cx, centerZ: cz, radius: r });
+    const ms = res.stats?.elapsedMs ?? 0;
+    const rate = res.stats?.cellsPerSecond ?? 0;
+    if (!res.stats?.cells || r >= MAX_BOX_RADIUS) break;
+    if (ms >= PREFLIGHT_MS / 2 && rate < lastRate * 1.25) break;
+    lastRate = rate;
+    const grow = (ms >= PREFLIGHT_MS / 2) ? 2 : Math.min(64, PREFLIGHT_MS / Math.max(ms, 1));
+    r = clamp(Math.ceil(r * Math.sqrt(grow)), r + 1, MAX_BOX_RADIUS);
+  }
+  if (!res.stats?.cellsPerSecond) return result;
+  result.engine = res.stats.engine;
+  result.cellsPerSecond = res.stats.cellsPerSecond;
+  result.estimatedMs = cells / result.cellsPerSecond * 1000;
+  return result;
+}
+
+// --- Self-test ---
+// Hides a random position, derives a synthetic dataset from it and runs every solver path on
+// that dataset; each one has to find the hidden position. Per-path timings show which engine
+// regressed.
+
+// Small seeded PRNG (mulberry32), so a failing run (or a benchmark) can be repeated with its seed.
+export function seededRandom(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// XYZ, XZ-only and plateau (dripstone) samples.
+const SELF_TEST_KINDS = ['SHORT_GRASS', 'TALL_GRASS', 'POINTED_DRIPSTONE'];
+
+/**
+ * Synthetic dataset for `version`: `samples` blocks of mixed foliage within 8 blocks of a
+ * random hidden position (the first sample sits on it, so that's what a crack reports).
+ * Dripstone X/Z nibbles are redrawn inside their plateau, and `noise` grass samples are one
+ * snap off on X.
+ */
+export function syntheticDataset({ version, samples = 10, noise = 0, rand = Math.random } = {}){
+  const hash = hashById(version);
+  if (!hash) throw new Error(`Unknown hash formula "${version}".`);
+  const int = (lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+  const plateau = (v) => (v <= 3) ? int(0, 3) : (v >= 12) ? int(12, 15) : v;
+  const hidden = { x: int(-1_000_000, 1_000_000), y: int(0, 120), z: int(-1_000_000, 1_000_000) };
+
+  const rows = [];
+  const used = new Set();
+  while (rows.length < samples) {
+    const d = rows.length ? { x: int(-8, 8), y: int(-2, 2), z: int(-8, 8) } : { x: 0, y: 0, z: 0 };
+    const key = `${d.x},${d.y},${d.z}`;
+    if (used.has(key)) continue;
+    used.add(key);
+    const kind = rows.length ? SELF_TEST_KINDS[int(0, SELF_TEST_KINDS.length - 1)] : 'SHORT_GRASS';
+    const p = hashOffset(hidden.x + d.x, hidden.y + d.y, hidden.z + d.z, hash);
+    const off = { x: p & 15, y: (p >> 4) & 15, z: (p >> 8) & 15 };
+    if (isPointedDripstone(kind)) {
+      off.x = plateau(off.x);
+      off.z = plateau(off.z);
+    }
+    rows.push(sampleRow(rows.length + 1, d, kind, off));
+  }
+
+  const grass = rows.filter(r => !r.isDripstone);
+  const noisy = [];
+  while (noisy.length < Math.min(noise, grass.length)) {
+    const r = grass[int(0, grass.length - 1)];
+    if (noisy.includes(r.id)) continue;
+    const x = r.packed & 15;
+    r.packed = (r.packed & ~15) | ((x === 15) ? 14 : x + 1);
+    noisy.push(r.id);
+  }
+  return { hidden, rows, noisy };
+}
+
+/**
+ * Runs the self-test: per version one synthetic dataset, cracked by the worker scanners (WASM
+ * where the build has it), the worker's JS scanners, the main-thread fallback, auto mode and,
+ * if `lattice` is set, the lattice solver. Without noise every match mode runs; with noise
+ * only the tolerant ones (scored and outliers, allowing `noise` errors).
+ * A path passes when it finds the hidden position on the engine it names: each result records
+ * crack()'s `engine`, the worker `builds` and the `scanners` the workers' scans ran on, and
+ * fails if those are wrong (say the WASM path ran on the JS scanners). The workers paths are
+ * `skipped` on hosts without worker threads. `onResult` sees each path's result as it finishes.
+ */
+export async function selfTest({ samples = 10, noise = 0, seed, lattice = false, versions = CRACK_VERSIONS, onResult } = {}){
+  const n = clamp(Math.round(Number(samples) || 10), 4, 64);
+  const k = clamp(Math.round(Number(noise) || 0), 0, 8);
+  const runSeed = Number.isInteger(seed) ? (seed >>> 0) : ((Math.random() * 2 ** 32) >>> 0);
+  const rand = seededRandom(runSeed);
+  const modes = k ? ['scored', 'outliers'] : ['strict', 'scored', 'outliers'];
+  const results = [];
+
+  for (const version of versions) {
+    const { hidden, rows } = syntheticDataset({ version, samples: n, noise: k, rand });
+    const shift = () => Math.floor(rand() * 33) - 16;
+    const base = {
+      rows, centerX: hidden.x + shift(), centerZ: hidden.z + shift(), radius: 32,
+      yMin: hidden.y - 1, yMax: hidden.y + 2, tolerance: 1, maxScore: k, maxOutliers: k,
+    };
+    // `expect` is the engine a path has to run on (crack()'s stats.engine) and the scanners its
+    // worker scans have to use (none for the lattice solver).
+    const paths = [];
+    for (const matchMode of modes) {
+      paths.push({ name: 'box/workers', expect: ['workers', 'wasm'], matchMode, useWorkers: true });
+      paths.push({ name: 'box/workers-js', expect: ['workers-js', 'js'], matchMode, useWorkers: true, engine: 'js' });
+      paths.push({ name: 'box/main-thread', expect: ['main-thread'], matchMode, useWorkers: false });
+    }
+    paths.push({ name: 'box/workers auto', expect: ['workers', 'wasm'], matchMode: modes[0], useWorkers: true, version: 'auto' });
+    if (lattice && !k) {
+      // The lattice cost is per Y layer and independent of the radius, so one layer is enough.
+      paths.push({ name: 'lattice/workers', expect: ['workers'], matchMode: 'strict', useWorkers: true, solver: 'lattice', yMin: hidden.y, yMax: hidden.y });
+    }
+
+    const ignoresY = hashById(version).ignoreY;
+    for (const { name, expect: [engine, scanner], ...path } of paths) {
+      const r = { version, path: name, matchMode: path.matchMode, ms: 0, matches: 0, ok: false, skipped: false, hidden, warning: null, engine: null, builds: [], scanners: [] };
+      // Without worker threads crack() runs the workers paths on the main thread.
+      if (path.useWorkers && !(host.hasWorkers() && hostThreads() > 1)) {
+        r.skipped = true;
+        r.warning = 'No worker threads on this host.';
+        results.push(r);
+        onResult?.(r);
+        continue;
+      }
+      const t0 = performance.now();
+      let res = null;
+      try {
+        res = await crack({ ...base, version, ...path });
+      } catch (err) {
+        r.warning = String(err?.message || err);
+      }
+      r.ms = performance.now() - t0;
+      if (res) {
+        const workers = res.stats.workers ?? [];
+        r.matches = res.matches.length;
+        r.warning = res.warning ?? null;
+        r.engine = res.stats.engine;
+        r.builds = [...new Set(workers.map(w => w.build))];
+        r.scanners = [...new Set(workers.flatMap(w => w.scanners ?? []))].sort();
+        const hit = res.matches.some(m => m.x === hidden.x && m.z === hidden.z && (ignoresY || m.y === hidden.y) && m.version === version);
+        // A path that found the position on another engine than it names tested the wrong code.
+        const wrong = (r.engine !== engine) ? `ran on ${r.engine}, not ${engine}`
+          : (scanner && r.scanners.join() !== scanner) ? `scans ran on ${r.scanners.join(' + ') || 'no scanner'} (build ${r.builds.join(', ')}), not ${scanner}`
+          : null;
+        r.ok = hit && !wrong;
+        if (wrong) r.warning = wrong;
+      }
+      results.push(r);
+      onResult?.(r);
+    }
+  }
+  return { seed: runSeed, samples: n, noise: k, results, pass: results.every(r => r.ok || r.skipped) };
+}
+
+// Order the scanners check samples in (indices into `rows`). A sample that pins down `bits`
+// passes a wrong candidate with chance 2^-bits, so the most informative ones go first and most
+// candidates are rejected after one or two hashes. Picked greedily by the bits a sample adds to
+// those already picked, as crackInformation() counts them: a nibble another sample already
+// fixes (same block, or same column for hashes without Y) adds nothing, so picking a sample
+// only lowers the gain of the samples sharing its nibbles. Ties go to the sample farthest from
+// the origin.
+function pruningOrder(rows, { mode = 'strict', tolerance = 1, version } = {}){
+  const tol = (mode === 'scored') ? clamp(Math.round(Number(tolerance)), 0, 2) : 0;
+  const nibbles = rows.map(r => sampleNibbles(r, versionIgnoresY(version), tol));
+  const gain = nibbles.map(list => list.reduce((a, n) => a + n.bits, 0));
+  const dist = rows.map(r => Math.abs(r.pos.x - rows[0].pos.x) + Math.abs(r.pos.y - rows[0].pos.y) + Math.abs(r.pos.z - rows[0].pos.z));
+  // Nibble key -> [sample, bits] of every sample observing it.
+  const byKey = new Map();
+  nibbles.forEach((list, i) => {
+    for (const n of list) {
+      if (!byKey.has(n.key)) byKey.set(n.key, []);
+      byKey.get(n.key).push([i, n.bits]);
+    }
+  });
+
+  const picked = new Uint8Array(rows.length);
+  const seen = new Set();
+  const order = [];
+  while (order.length < rows.length) {
+    let best = -1;
+    for (let i = 0; i < rows.length; i++) {
+      if (picked[i]) continue;
+      if (best < 0 || gain[i] > gain[best] + 1e-9 || (gain[i] > gain[best] - 1e-9 && dist[i] > dist[best])) best = i;
+    }
+    picked[best] = 1;
+    order.push(best);
+    for (const { key } of nibbles[best]) {
+      if (seen.has(key)) continue;
+      seen.add(key);
+      for (const [i, bits] of byKey.get(key)) if (!picked[i]) gain[i] -= bits;
+    }
+  }
+  return order;
+}
+
+// Samples relative to the first one (the origin matches are reported for), in pruningOrder(),
+// as typed arrays: tight for the hot loops and cheap to send to workers.
+function relSamples(rows, opts){
+  const recorigin = rows[0].pos;
+  let rel = rows.map((r, i) => ({
+    // Sample id for outlier reports (sessions saved before ids existed use the row number).
+    id: r.id ?? (i + 1),
+    dx: (r.pos.x - recorigin.x) | 0,
+    dy: (r.pos.y - recorigin.y) | 0,
+    dz: (r.pos.z - recorigin.z) | 0,
+    isDripstone: !!r.isDripstone,
+    mask: (r.mask & 0xFFF) >>> 0,
+    // Mask expected packed so ignored axes don't accidentally constrain results.
+    packed: (r.packed & r.mask & 0xFFF) >>> 0,
+  }));
+
+  rel = pruningOrder(rows, opts).map(i => rel[i]);
+
+  const relLen = rel.length | 0;
+  const relDx = new Int32Array(relLen);
+  const relDy = new Int32Array(relLen);
+  const relDz = new Int32Array(relLen);
+  const relPacked = new Uint16Array(relLen);
+  const relMask = new Uint16Array(relLen);
+  const relDrip = new Uint8Array(relLen);
+  const relIds = new Int32Array(relLen);
+  for (let i=0;i<relLen;i++){
+    const r = rel[i];
+    relIds[i] = r.id | 0;
+    relDx[i] = r.dx | 0;
+    relDy[i] = r.dy | 0;
+    relDz[i] = r.dz | 0;
+    relPacked[i] = (r.packed & 0xFFF) >>> 0;
+    relMask[i] = (r.mask & 0xFFF) >>> 0;
+    relDrip[i] = r.isDripstone ? 1 : 0;
+  }
+  return { relLen, relDx, relDy, relDz, relPacked, relMask, relDrip, relIds };
+}
+
+async function scanCrack({
+  centerX, centerZ, radius, yMin, yMax, version,
+  region=null,
+  matchMode='strict',
+  tolerance=1,
+  maxScore=6,
+  maxOutliers=1,
+  maxResults=50,
+  maxMatches=2000,
+  useWorkers=true,
+  engine='auto',
+  solver='box',
+  order='rows',
+  stopAfter=0,
+  signal,
+  pause,
+  rows,
+  resumeTiles,
+  onCheckpoint,
+  onEstimate,
+  onProgress
+}){
+  if (signal?.aborted) return { matches: [], warning: 'Cancelled.', cancelled: true };
+
+  // `rows` are the samples (see sampleRow()); the first one is the origin matches are reported for.
+  if (!Array.isArray(rows) || rows.length < 2) {
+    return { matches: [], warning: 'Add at least 2 blocks to crack coordinates.' };
+  }
+
+  // 'outliers': strict per sample, but up to maxOutliers samples may fail entirely.
+  const mode = (matchMode === 'scored' || matchMode === 'outliers') ? matchMode : 'strict';
+  // Scored and outlier matches carry a `score` (lower is better) and are ranked by it.
+  const ranked = (mode !== 'strict');
+  const MAX_OUTLIERS = Math.max(0, (maxOutliers|0) || 0);
+  const useLattice = (solver === 'lattice');
+  if (useLattice && mode !== 'strict') {
+    return { matches: [], warning: 'The lattice solver only supports strict match mode.' };
+  }
+  const auto = (version === 'auto');
+  if (useLattice && auto) {
+    return { matches: [], warning: 'The lattice solver needs a known version; use the box scan for auto.' };
+  }
+  // Every match is tagged with the version whose hash produced it.
+  const hashes = (auto ? CRACK_VERSIONS : [version]).map(hashById);
+  if (!hashes[0]) return { matches: [], warning: `Unknown hash formula "${version}".` };
+  const tol = clamp(Math.round(Number(tolerance)), 0, 2);
+  const MAX_SCORE = Math.max(0, (maxScore|0) || 0);
+  const MAX_RESULTS = Math.max(1, (maxResults|0) || 1);
+
+  const { relLen, relDx, relDy, relDz, relPacked, relMask, relDrip, relIds } = relSamples(rows, { mode, tolerance: tol, version: hashes[0].id });
+
+  // Scans run over the boxes around the region's shapes and skip everything outside the region.
+  let area;
+  try {
+    area = searchArea({ centerX, centerZ, radius, region, countColumns: !useLattice });
+  } catch (err) {
+    return { matches: [], warning: String(err?.message || err) };
+  }
+  const { spec: regionSpec, reg, x0, x1, z0, z1 } = area;
+  const yy0 = Math.floor(Math.min(yMin, yMax));
+  const yy1 = Math.floor(Math.max(yMin, yMax));
+
+  // One Y layer covers everything when the hash ignores Y (the flag keeps its historical name).
+  const post1_12_anyY = versionIgnoresY(version);
+  const yCount = post1_12_anyY ? 1 : (yy1-yy0+1);
+
+  // The lattice solver's work is counted in roots (each covers the whole X/Z range).
+  let latticeCtx = null;
+  if (useLattice) {
+    try {
+      latticeCtx = prepareLattice({ relDx, relDy, relDz, relPacked, relMask, relDrip, hash: hashes[0], anyY: post1_12_anyY });
+    } catch (err) {
+      return { matches: [], warning: String(err?.message || err) };
+    }
+  }
+  // Box scans count the blocks the region really covers.
+  const regionCells = area.cells;
+  if (!regionCells) return { matches: [], warning: 'The search region contains no blocks.' };
+  const total = useLattice
+    ? LATTICE_ROOTS * yCount
+    : regionCells * yCount;
+
+  // Reported before any scanning, so a weak dataset can be flagged right away.
+  const searchCells = regionCells * yCount;
+  onEstimate?.(crackEstimate(rows, searchCells, { mode, tolerance: tol, maxScore: MAX_SCORE, maxOutliers: MAX_OUTLIERS, version, layers: yCount }));
+
+  // Strict scans stop at MAX_MATCHES. Ranked scans keep going and keep the best MAX_MATCHES,
+  // so it only bounds memory; the result list is cut to MAX_RESULTS after sorting.
+  const MAX_MATCHES = Math.max(1, (maxMatches|0) || 1);
+  const capWarning = `Hit the cap of ${MAX_MATCHES} matches. Reduce radius / tighten inputs.`;
+  const keptBestWarning = `More than ${MAX_MATCHES} matches; only the best ${MAX_MATCHES} were ranked. Tighten inputs or raise the match cap.`;
+
+  // --- Fast path: the worker pool ---
+  const wantWorkers = !!useWorkers && host.hasWorkers();
+
+  // Spiral order scans square rings outwards from the center (nearest matches first).
+  const useSpiral = (order === 'spiral') && !useLattice;
+  const ringCx = Math.floor(centerX ?? ((x0 + x1) / 2));
+  const ringCz = Math.floor(centerZ ?? ((z0 + z1) / 2));
+  const ringMax = Math.max(ringCx - x0, x1 - ringCx, ringCz - z0, z1 - ringCz);
+  const STOP_AFTER = Math.max(0, (stopAfter|0) || 0);
+  const ringDistance = (m) => Math.max(Math.abs(m.x - ringCx), Math.abs(m.z - ringCz));
+
+  // A resumed session keeps the tiling it was checkpointed with.
+  const resuming = !!resumeTiles?.tiling && host.hasWorkers();
+
+  if (resuming || (wantWorkers && hostThreads() > 1)) {
+    const tiling = resuming ? resumeTiles.tiling : tileLayout();
+    const finished = new Uint8Array(tiling.count);
+    for (const [a, b] of (resuming ? resumeTiles.finished : [])) finished.fill(1, a, b + 1);
+    if (!resuming) for (const t of emptyTiles(tiling)) finished[t] = 1;
+    // Tiles go out in id order (rows, rings outwards, Y layers), skipping finished ones.
+    const order = [];
+    for (let t = 0; t < tiling.count; t++) if (!finished[t]) order.push(t);
+
+    const matchesAll = resuming ? resumeTiles.matches.slice() : [];
+    let done = resuming ? (Number(resumeTiles.done) || 0) : 0;
+    // Matches reported so far, including those a ranked scan pruned again.
+    let found = matchesAll.length;
+    // First tile not finished yet (spiral: every ring before it is done).
+    let firstOpen = 0;
+    let hitCap = false;
+    let cancelled = false;
+    let stoppedEarly = false;
+    let job = null;
+
+    // "Stop after N matches": in spiral order, once every ring up to the N-th nearest match is done.
+    function maybeStopEarly(){
+      if (!STOP_AFTER || stoppedEarly || found < STOP_AFTER) return;
+      if (useSpiral) {
+        while (firstOpen < tiling.count && finished[firstOpen]) firstOpen++;
+        const limit = matchesAll.map(ringDistance).sort((a, b) => a - b)[STOP_AFTER - 1];
+        if (firstOpen < tiling.count && tiling.rings[firstOpen] <= limit) return;
+      }
+      stoppedEarly = true;
+      job.stop();
+    }
+
+    function checkpointState(){
+      const ranges = [];
+      for (let t = 0; t < tiling.count; t++) {
+        if (!finished[t]) continue;
+        if (ranges.length && ranges[ranges.length - 1][1] === t - 1) ranges[ranges.length - 1][1] = t;
+        else ranges.push([t, t]);
+      }
+      return { tiles: { tiling, finished: ranges, matches: matchesAll.slice(), done }, done, total };
+    }
+
+    let lastCheckpoint = performance.now();
+    function maybeCheckpoint(force){
+      if (!onCheckpoint) return;
+      const now = performance.now();
+      if (!force && now - lastCheckpoint < CHECKPOINT_EVERY_MS) return;
+      lastCheckpoint = now;
+      try { onCheckpoint(checkpointState()); } catch (err) { console.warn('Crack checkpoint failed:', err); }
+    }
+
+    function onTile(msg){
+      finished[msg.tile] = 1;
+      done += Number(msg.cells);
+      for (const m of msg.matches) matchesAll.push(m);
+      found += msg.matches.length;
+      if (msg.hitCap) hitCap = true;
+      // Strict scans stop at the cap; ranked ones keep the best and tighten the score limit.
+      if (!ranked && matchesAll.length >= MAX_MATCHES) {
+        hitCap = true;
+        job.stop();
+      } else if (ranked && matchesAll.length >= 2 * MAX_MATCHES) {
+        matchesAll.sort(byRank);
+        matchesAll.length = MAX_MATCHES;
+        job.setLimit(matchesAll[MAX_MATCHES - 1].score);
+        hitCap = true;
+      }
+      onProgress?.({ done, total, matches: found, newMatches: msg.matches, workers: job.stats().workers });
+      maybeCheckpoint(false);
+      maybeStopEarly();
+    }
+
+    // Matches restored from a checkpoint count as already found.
+    if (resuming) onProgress?.({ done, total, matches: found, newMatches: matchesAll.slice() });
+
+    job = workerPool().runJob({
+      tiling,
+      x0, x1, z0, z1,
+      region: regionSpec,
+      y0: yy0, y1: yy1,
+      version,
+      hashes,
+      relDx,
+      relDy,
+      relDz,
+      relPacked,
+      relMask,
+      relDrip,
+      maxMatches: MAX_MATCHES,
+      post1_12_anyY,
+      mode,
+      tol,
+      maxScore: MAX_SCORE,
+      maxOutliers: MAX_OUTLIERS,
+      relIds,
+      engine
+    }, { order, onTile, paused: !!pause?.paused });
+
+    // A stopped job still reports the tiles already running, so their matches are kept.
+    const onAbort = () => { cancelled = true; job.stop(); };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const offPause = pause ? pause.subscribe(p => { if (p) { job.pause(); maybeCheckpoint(true); } else job.resume(); }) : null;
+
+    try {
+      await job.done;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      offPause?.();
+    }
+
+    // Stopping after N matches isn't a user cancel.
+    if (stoppedEarly) cancelled = false;
+
+    // Keep the checkpoint of a cancelled crack so it can be resumed later.
+    if (cancelled) maybeCheckpoint(true);
+
+    let list = finishMatches(matchesAll);
+    if (list.length > MAX_MATCHES) {
+      list = list.slice(0, MAX_MATCHES);
+      hitCap = true;
+    }
+
+    const warning =
+      cancelled ? `Cancelled - partial results (${found} matches so far).` :
+      stoppedEarly ? `Stopped after the first ${STOP_AFTER} matches.` :
+      hitCap ? (ranked ? keptBestWarning : capWarning) :
+      (post1_12_anyY && yy1 !== yy0) ? `` :
+      null;
+
+    // Per-worker totals for crack()'s stats.
+    return { matches: list, warning, cancelled, workers: job.stats().workers };
+  }
+
+  // Tiles of the pool job, about TILE_CELLS candidates each: rectangles of the search area's
+  // boxes (box scan), runs of rings (spiral) or root chunks per Y layer (lattice). See the worker's
+  // "Jobs and tiles".
+  function tileLayout(){
+    if (useLattice) {
+      const size = LATTICE_TILE_ROOTS;
+      const chunks = Math.ceil(LATTICE_ROOTS / size);
+      return { kind: 'lattice', size, chunks, count: chunks * yCount };
+    }
+    if (useSpiral) {
+      const rings = [0];
+      let cells = 0;
+      for (let r = 0; r <= ringMax; r++) {
+        cells += ringCells(ringCx, ringCz, r, area.boxes) * yCount;
+        if (cells >= TILE_CELLS || r === ringMax) {
+          rings.push(r + 1);
+          cells = 0;
+        }
+      }
+      return { kind: 'spiral', centerX: ringCx, centerZ: ringCz, rings, count: rings.length - 1 };
+    }
+    // One grid of tiles per box of the search area, numbered box after box.
+    const grids = [];
+    let count = 0;
+    for (const [bx0, bx1, bz0, bz1] of area.boxes) {
+      const w = Math.min(bx1 - bx0 + 1, TILE_WIDTH);
+      const h = Math.max(1, Math.floor(TILE_CELLS / (w * yCount)));
+      const cols = Math.ceil((bx1 - bx0 + 1) / w);
+      grids.push({ x0: bx0, x1: bx1, z0: bz0, z1: bz1, w, h, cols, first: count });
+      count += cols * Math.ceil((bz1 - bz0 + 1) / h);
+    }
+    return { kind: 'box', grids, count };
+  }
+
+  // Tiles holding no block of the region (around and between its shapes). They count as
+  // finished from the start, so no worker is handed them.
+  function emptyTiles(tiling){
+    const empty = [];
+    if (tiling.kind === 'spiral') {
+      for (let t = 0; t < tiling.count; t++) {
+        let cells = 0;
+        for (let r = tiling.rings[t]; r < tiling.rings[t + 1] && !cells; r++) cells = ringCells(ringCx, ringCz, r, area.boxes);
+        if (!cells) empty.push(t);
+      }
+    } else if (tiling.kind === 'box' && region) {
+      for (const g of tiling.grids) {
+        const used = new Uint8Array(g.cols * Math.ceil((g.z1 - g.z0 + 1) / g.h));
+        for (let z = g.z0; z <= g.z1; z++) {
+          const row = Math.floor((z - g.z0) / g.h) * g.cols;
+          const spans = clipSpans(regionSpans(reg, 'row', z), g.x0, g.x1);
+          for (let k = 0; k < spans.length; k += 2) {
+            used.fill(1, row + Math.floor((spans[k] - g.x0) / g.w), row + Math.floor((spans[k + 1] - g.x0) / g.w) + 1);
+          }
+        }
+        for (let i = 0; i < used.length; i++) if (!used[i]) empty.push(g.first + i);
+      }
+    }
+    return empty;
+  }
+
+  // Result order: scored/outlier modes by score; spiral order nearest-first; otherwise x then z then y.
+  function byRank(a, b){
+    const byRing = useSpiral ? ringDistance(a) - ringDistance(b) : 0;
+    const byPos = (a.x-b.x) || (a.z-b.z) || (a.y-b.y);
+    return ranked ? ((a.score-b.score) || byRing || byPos) : (byRing || byPos);
+  }
+  function finishMatches(list){
+    list.sort(byRank);
+    if (ranked) {
+      return list.slice(0, STOP_AFTER ? Math.min(MAX_RESULTS, STOP_AFTER) : MAX_RESULTS);
+    }
+    return STOP_AFTER ? list.slice(0, STOP_AFTER) : list;
+  }
+
+  // Single-threaded scans run in animation-frame chunks. While paused, the next chunk waits
+  // for resume (or cancel, so a paused crack can still be stopped).
+  function schedule(fn){
+    if (!pause?.paused || signal?.aborted) { host.nextFrame(fn); return; }
+    const wake = () => {
+      offPause();
+      signal?.removeEventListener('abort', wake);
+      host.nextFrame(fn);
+    };
+    const offPause = pause.subscribe(p => { if (!p) wake(); });
+    signal?.addEventListener('abort', wake, { once: true });
+  }
+  const cancelWarning = (n) => `Cancelled - partial results (${n} matches so far).`;
+  // Rel indices of the samples the last checkAt() call treated as outliers.
+  const outlierScratch = [];
+  // Seeds of each hash step along rows (see hashRows()): the samples' Z/Y parts are set when
+  // checkAt() moves to a new row, and each candidate only adds its X part. The scans walk rows,
+  // so that happens once per row (the columns of a spiral ring excepted).
+  const rowSeeds = hashes.map(h => ({ hash: h, rows: hashRows(h, relDx, relDy, relDz), y: NaN, z: NaN }));
+
+  // Progress reporter for the fallbacks: each call hands onProgress the matches found since the last one.
+  // (Tracked per match, since keepBest() reorders the list.)
+  function progressReporter(matches){
+    const sent = new WeakSet();
+    return (done, total) => {
+      if (!onProgress) return;
+      const newMatches = matches.filter(m => !sent.has(m));
+      for (const m of newMatches) sent.add(m);
+      onProgress({ done, total, matches: matches.length, newMatches });
+    };
+  }
+
+  // Fallback scans compare against scoreLimit. Ranked scans don't stop at the cap: once the
+  // list reaches twice the cap it's cut back to the best MAX_MATCHES and scoreLimit tightens
+  // to the worst one kept.
+  let scoreLimit = (mode === 'outliers') ? MAX_OUTLIERS : MAX_SCORE;
+  let truncated = false;
+  // True when a strict scan has to stop at the cap.
+  function capReached(matches){
+    if (matches.length < (ranked ? 2 * MAX_MATCHES : MAX_MATCHES)) return false;
+    if (!ranked) return true;
+    matches.sort(byRank);
+    matches.length = MAX_MATCHES;
+    scoreLimit = matches[MAX_MATCHES - 1].score;
+    truncated = true;
+    return false;
+  }
+  const finishWarning = () => truncated ? keptBestWarning : null;
+
+  // --- Fallback: single-threaded lattice solver (chunked by roots) ---
+  if (useLattice) {
+    const bounds = { x0, x1, z0, z1, contains: region ? (x, z) => regionContains(reg, x, z) : null };
+    const matches = [];
+    const report = progressReporter(matches);
+    const ROOT_CHUNK = 64;
+    let done = 0;
+    let y = yy0;
+    let root = 0;
+    const yEnd = post1_12_anyY ? yy0 : yy1;
+
+    return new Promise(resolve => {
+      function step(){
+        if (signal?.aborted) {
+          resolve({ matches: finishMatches(matches), warning: cancelWarning(matches.length), cancelled: true });
+          return;
+        }
+        const re = Math.min(LATTICE_ROOTS, root + ROOT_CHUNK);
+        const hitCap = scanLatticeRoots(latticeCtx, bounds, y, root, re, matches, MAX_MATCHES);
+        done += re - root;
+        root = re;
+        report(done, total);
+
+        if (hitCap) {
+          resolve({ matches: finishMatches(matches), warning: capWarning });
+          return;
+        }
+        if (STOP_AFTER && matches.length >= STOP_AFTER) {
+          resolve({ matches: finishMatches(matches), warning: `Stopped after the first ${STOP_AFTER} matches.` });
+          return;
+        }
+        if (root >= LATTICE_ROOTS) { root = 0; y++; }
+        if (y > yEnd) {
+          matches.sort((a,b)=> (a.x-b.x) || (a.z-b.z) || (a.y-b.y));
+          resolve({ matches, warning: null });
+          return;
+        }
+        schedule(step);
+      }
+      schedule(step);
+    });
+  }
+
+  // --- Fallback: single-threaded spiral scan (one or more rings per frame) ---
+  if (useSpiral) {
+    const matches = [];
+    const report = progressReporter(matches);
+    const SPIRAL_CHUNK = 12000;
+    const yEnd = post1_12_anyY ? yy0 : yy1;
+    let done = 0;
+    let r = 0;
+
+    return new Promise(resolve => {
+      function step(){
+        if (signal?.aborted) {
+          resolve({ matches: finishMatches(matches), warning: cancelWarning(matches.length), cancelled: true });
+          return;
+        }
+
+        let n = 0;
+        while (n < SPIRAL_CHUNK && r <= ringMax) {
+          const boxes = ringCells(ringCx, ringCz, r, area.boxes) ? ringBoxes(ringCx, ringCz, r, x0, x1, z0, z1, reg) : [];
+          for (const [bx0, bx1, bz0, bz1] of boxes) {
+            for (let y = yy0; y <= yEnd; y++) {
+              for (let z = bz0; z <= bz1; z++) {
+                for (let x = bx0; x <= bx1; x++) {
+                  collectAt(x, y, z, matches);
+                  n++;
+                }
+              }
+            }
+          }
+          r++;
+
+          if (capReached(matches)) {
+            resolve({ matches: finishMatches(matches), warning: capWarning });
+            return;
+          }
+          if (STOP_AFTER && matches.length >= STOP_AFTER) {
+            resolve({ matches: finishMatches(matches), warning: `Stopped after the first ${STOP_AFTER} matches.` });
+            return;
+          }
+        }
+        done += n;
+
+        report(done, total);
+
+        if (r > ringMax) {
+          resolve({ matches: finishMatches(matches), warning: finishWarning() });
+          return;
+        }
+        schedule(step);
+      }
+      schedule(step);
+    });
+  }
+
+  // --- Fallback: single-threaded chunked scan (still optimized) ---
+  function sampleMatches(p, i){
+    // Pointed dripstone edge indices are ambiguous (0..3 and 12..15 collapse).
+    // Treat them as equivalence classes during matching.
+    if (!relDrip[i]) return (p & relMask[i]) === relPacked[i];
+    // Per-axis strict match with plateau equivalence on X/Z.
+    for (let axis = 0; axis < 3; axis++) {
+      const nibMask = (relMask[i] >> (axis * 4)) & 15;
+      if (nibMask === 0) continue;
+      const pn = (p >> (axis * 4)) & 15;
+      const en = (relPacked[i] >> (axis * 4)) & 15;
+      if (axis === 1) { if (pn !== en) return false; }
+      else { if (!dripstoneNibbleMatches(pn, en)) return false; }
+    }
+    return true;
+  }
+
+  // Returns -1 for no match, otherwise the score (outlier mode: the number of outliers,
+  // whose rel indices are left in outlierScratch for matchAt()).
+  function checkAt(x,y,z,seeds){
+    if (seeds.y !== y || seeds.z !== z) {
+      seeds.rows.row(y, z);
+      seeds.y = y;
+      seeds.z = z;
+    }
+    const xTerm = Math.imul(x, seeds.hash.xMult);
+    let score = 0;
+    if (mode === 'outliers') outlierScratch.length = 0;
+    for (let i=0;i<relLen;i++){
+      const p = seeds.rows.offset(i, xTerm);
+
+      if (mode === 'strict') {
+        if (!sampleMatches(p, i)) return -1;
+      } else if (mode === 'outliers') {
+        if (!sampleMatches(p, i)) {
+          outlierScratch.push(i);
+          if (outlierScratch.length > scoreLimit) return -1;
+        }
+      } else {
+        score += scorePacked(p, relPacked[i], relMask[i], tol, relDrip[i]);
+        if (score > scoreLimit) return -1;
+      }
+    }
+    return (mode === 'outliers') ? outlierScratch.length : (score|0);
+  }
+
+  function matchAt(x, y, z, s, version){
+    if (mode === 'scored') return { x, y, z, score: s, version };
+    if (mode === 'outliers') return { x, y, z, score: s, outliers: outlierScratch.map(i => relIds[i]).sort((a, b) => a - b), version };
+    return { x, y, z, version };
+  }
+
+  // Checks (x,y,z) against every version being cracked and returns how many matches it added.
+  // Hashes that ignore Y (1.8+) are only tried on the first layer in auto mode.
+  function collectAt(x, y, z, matches){
+    let found = 0;
+    for (const seeds of rowSeeds) {
+      if (seeds.hash.ignoreY && y !== yy0) continue;
+      const s = checkAt(x, y, z, seeds);
+      if (s >= 0) { matches.push(matchAt(x, y, z, s, seeds.hash.id)); found++; }
+    }
+    return found;
+  }
+
+  let done = 0;
+  const matches = [];
+  const report = progressReporter(matches);
+
+  // Chunked scan to keep UI responsive. The cursor walks the boxes of the search area, then
+  // Y layers, then rows, visiting only the blocks of the row's region spans.
+  const boxes = area.boxes;
+  const yEnd = post1_12_anyY ? yy0 : yy1;
+  const rowSpans = (b, z) => clipSpans(regionSpans(reg, 'row', z), boxes[b][0], boxes[b][1]);
+  let cb = 0, cy = yy0, cz = boxes[0][2];
+  let spans = rowSpans(0, cz), k = 0, cx = spans[0];
+  const CHUNK = 12000;
+
+  // Moves the cursor to the start of the next row with region blocks; false once it's past
+  // the last box.
+  function nextRow(){
+    for (;;) {
+      if (++cz > boxes[cb][3]) {
+        if (++cy > yEnd) {
+          if (++cb >= boxes.length) return false;
+          cy = yy0;
+        }
+        cz = boxes[cb][2];
+      }
+      spans = rowSpans(cb, cz);
+      if (spans.length) {
+        k = 0;
+        cx = spans[0];
+        return true;
+      }
+    }
+  }
+  let more = spans.length ? true : nextRow();
+
+  return new Promise(resolve => {
+    function step(){
+      let n = 0;
+
+      if (signal?.aborted) {
+        resolve({ matches: finishMatches(matches), warning: cancelWarning(matches.length), cancelled: true });
+        return;
+      }
+
+      while (n < CHUNK && more){
+        if (collectAt(cx, cy, cz, matches)) {
+          if (capReached(matches)) {
+            resolve({ matches: finishMatches(matches), warning: capWarning });
+            return;
+          }
+          if (STOP_AFTER && matches.length >= STOP_AFTER) {
+            resolve({ matches: finishMatches(matches), warning: `Stopped after the first ${STOP_AFTER} matches.` });
+            return;
+          }
+        }
+
+        done++;
+        n++;
+        if (++cx > spans[k + 1]) {
+          k += 2;
+          if (k < spans.length) cx = spans[k];
+          else more = nextRow();
+        }
+
+        if (done % 50000 === 0) report(done, total);
+      }
+
+      report(done, total);
+
+      if (!more) {
+        const warning = finishWarning() ?? ((post1_12_anyY && yy1 !== yy0) ? `` : null);
+        resolve({ matches: finishMatches(matches), warning });
+        return;
+      }
+      schedule(step);
+    }
+    schedule(step);
+  });
+}
+
+// Pause/resume handle for crack({ pause }). Subscribers get the new paused state.
+export function createPauseController(){
+  const listeners = new Set();
+  let paused = false;
+  const set = (v) => {
+    if (paused === v) return;
+    paused = v;
+    for (const fn of [...listeners]) fn(paused);
+  };
+  return {
+    get paused(){ return paused; },
+    pause(){ set(true); },
+    resume(){ set(false); },
+    subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); },
+  };
+}
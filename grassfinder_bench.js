@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// --- Throughput benchmark ---
+// Cracks one synthetic dataset per hash formula (see syntheticDataset() in grassfinder.js) with
+// every engine and match mode, and prints candidates checked per second. With --against, the
+// same datasets also run on another checkout of the repo, so an older commit can be compared
+// with this one:
+//
+//   git worktree add /tmp/gf-old <commit>
+//   node grassfinder_bench.js --against /tmp/gf-old
+//
+// Run with --help for the options.
+
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import * as GF from './grassfinder.js';
+import { useNodeHost } from './grassfinder_node.js';
+
+const USAGE = `Usage: node grassfinder_bench.js [options]
+
+  --against <dir>      another checkout to run the same cases on, for comparison
+  --radius <n>         search radius in blocks (default: 1024)
+  --samples <n>        samples per dataset (default: 10)
+  --seed <n>           dataset seed (default: 1)
+  --runs <n>           runs per case, the fastest counts (default: 1)
+  --threads <n>        worker threads, at least 2 (default: 2)
+  --json               print the results as JSON
+  -h, --help           show this help
+`;
+
+const OPTIONS = {
+  against: { type: 'string' },
+  radius: { type: 'string', default: '1024' },
+  samples: { type: 'string', default: '10' },
+  seed: { type: 'string', default: '1' },
+  runs: { type: 'string', default: '1' },
+  threads: { type: 'string', default: '2' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const VERSIONS = ['post1_12', 'postb1_5', 'b1_6_tb3'];
+const MODES = ['strict', 'scored', 'outliers'];
+
+// Worker scanners (WASM where the build has them), the worker's JS scanners, and the
+// main-thread fallback. The JS scanners also run every hash the WASM build can't.
+const ENGINES = [
+  { name: 'workers', useWorkers: true },
+  { name: 'workers-js', useWorkers: true, engine: 'js' },
+  { name: 'main-thread', useWorkers: false },
+];
+
+// Pre-1.8 datasets are scanned over this many Y layers.
+const LAYERS = 4;
+
+function int(value, name, min){
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new Error(`--${name} must be a whole number of at least ${min}.`);
+  return n;
+}
+
+// grassfinder.js of the checkout in `dir`, on the Node host.
+async function loadTree(dir, threads){
+  const url = (file) => pathToFileURL(resolve(dir, file)).href;
+  const gf = await import(url('grassfinder.js'));
+  const node = await import(url('grassfinder_node.js'));
+  node.useNodeHost({ threads });
+  return gf;
+}
+
+// Best time of `runs` cracks of one case, in seconds, and whether the hidden position was found.
+async function timeCase(gf, params, hidden, runs){
+  let best = Infinity;
+  let found = true;
+  for (let r = 0; r < runs; r++) {
+    const t0 = performance.now();
+    const res = await gf.crack(params);
+    best = Math.min(best, (performance.now() - t0) / 1000);
+    found &&= res.matches.some(m => m.x === hidden.x && m.z === hidden.z);
+  }
+  return { seconds: best, found };
+}
+
+async function main(argv){
+  const { values: opts } = parseArgs({ args: argv, options: OPTIONS });
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  const radius = int(opts.radius, 'radius', 1);
+  const samples = int(opts.samples, 'samples', 2);
+  const runs = int(opts.runs, 'runs', 1);
+  // A single worker would make crack() fall back to the main thread.
+  const threads = int(opts.threads, 'threads', 2);
+  const rand = GF.seededRandom(int(opts.seed, 'seed', 0));
+
+  useNodeHost({ threads });
+  const trees = [{ name: 'this tree', gf: GF }];
+  if (opts.against != null) trees.push({ name: opts.against, gf: await loadTree(opts.against, threads) });
+
+  if (!opts.json) process.stdout.write(`${'version'.padEnd(9)} ${'mode'.padEnd(9)} ${'engine'.padEnd(12)}${trees.map(t => `  ${t.name}`).join('')}\n`);
+  const results = [];
+  for (const version of VERSIONS) {
+    const { hidden, rows } = GF.syntheticDataset({ version, samples, rand });
+    const layers = GF.versionIgnoresY(version) ? 1 : LAYERS;
+    const candidates = (2 * radius + 1) ** 2 * layers;
+    const base = {
+      version, rows, centerX: hidden.x, centerZ: hidden.z, radius,
+      yMin: hidden.y - 1, yMax: hidden.y + LAYERS - 2,
+      tolerance: 1, maxScore: 2, maxOutliers: 1,
+    };
+
+    for (const matchMode of MODES) {
+      for (const { name: engine, ...path } of ENGINES) {
+        const r = { version, matchMode, engine, candidates, trees: [] };
+        for (const tree of trees) {
+          const { seconds, found } = await timeCase(tree.gf, { ...base, ...path, matchMode }, hidden, runs);
+          r.trees.push({ tree: tree.name, seconds, perSecond: candidates / seconds, found });
+        }
+        results.push(r);
+        if (!opts.json) {
+          const cols = r.trees.map(t => `${GF.formatRate(t.perSecond).padStart(10)}${t.found ? '' : ' (missed)'}`);
+          const speedup = (r.trees.length > 1) ? `  x${(r.trees[0].perSecond / r.trees[1].perSecond).toFixed(2)}` : '';
+          process.stdout.write(`${version.padEnd(9)} ${matchMode.padEnd(9)} ${engine.padEnd(12)}${cols.join('')}${speedup}\n`);
+        }
+      }
+    }
+  }
+
+  if (opts.json) process.stdout.write(JSON.stringify({ radius, samples, runs, threads, trees: trees.map(t => t.name), results }, null, 2) + '\n');
+  return results.every(r => r.trees.every(t => t.found)) ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    process.stderr.write(`grassfinder_bench: ${err?.message || err}\n`);
+    process.exitCode = 2;
+  },
+);
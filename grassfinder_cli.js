@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// --- Command line cracker ---
+// Cracks offset data in the export text format (one `blockX blockY blockZ offX offY offZ [TYPE]`
+// line per sample) read from a file or stdin, on worker_threads with the same WASM package as
+// the browser. Run with --help for the options.
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import * as GF from './grassfinder.js';
+import { useNodeHost } from './grassfinder_node.js';
+import { parseGrassDataStrict } from './grassfinder_data.js';
+
+const USAGE = `Usage: node grassfinder_cli.js [options] [data-file]
+
+Reads offset data from data-file, or stdin when it is missing or "-", and prints one match per
+line: the world position of the first sample.
+
+  --version <id>       hash formula: post1_12 (1.8+), postb1_5 (pre 1.8), b1_6_tb3,
+                       a custom id from --hashes, or auto (default: post1_12)
+  --hashes <file>      JSON file with custom hash formula definitions (one or a list)
+  --center <x,z>       search center (default: 0,0)
+  --radius <n>         search radius in blocks (default: 256)
+  --region <json>      search region shape(s) instead of the center/radius square
+  --y-min <n>          lowest Y of the first sample (default: 62)
+  --y-max <n>          highest Y of the first sample (default: 70)
+  --mode <mode>        strict, scored or outliers (default: strict)
+  --tolerance <n>      scored mode: per-axis tolerance (default: 1)
+  --max-score <n>      scored mode: highest accepted score (default: 6)
+  --max-outliers <n>   outliers mode: samples allowed to fail (default: 1)
+  --max-results <n>    matches printed (default: 50)
+  --max-matches <n>    match cap of the scan (default: 2000)
+  --stop-after <n>     stop after this many matches (default: 0, never)
+  --solver <solver>    box or lattice (default: box)
+  --order <order>      rows or spiral (default: rows)
+  --threads <n>        worker threads (default: every core)
+  --no-workers         scan on the main thread with the JS scanners
+  --json               print the full result as JSON
+  --quiet              no progress on stderr
+  -h, --help           show this help
+`;
+
+const OPTIONS = {
+  version: { type: 'string', default: 'post1_12' },
+  hashes: { type: 'string' },
+  center: { type: 'string', default: '0,0' },
+  radius: { type: 'string', default: '256' },
+  region: { type: 'string' },
+  'y-min': { type: 'string', default: '62' },
+  'y-max': { type: 'string', default: '70' },
+  mode: { type: 'string', default: 'strict' },
+  tolerance: { type: 'string' },
+  'max-score': { type: 'string' },
+  'max-outliers': { type: 'string' },
+  'max-results': { type: 'string' },
+  'max-matches': { type: 'string' },
+  'stop-after': { type: 'string' },
+  solver: { type: 'string', default: 'box' },
+  order: { type: 'string', default: 'rows' },
+  threads: { type: 'string' },
+  'no-workers': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  quiet: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function int(value, name){
+  const n = Number(value);
+  if (!Number.isInteger(n)) throw new Error(`--${name} must be a whole number.`);
+  return n;
+}
+
+function readInput(path){
+  return readFileSync((!path || path === '-') ? 0 : path, 'utf8');
+}
+
+// Crack parameters from the parsed options; throws on invalid values.
+function crackParams(opts){
+  const center = opts.center.split(',');
+  if (center.length !== 2) throw new Error('--center must be "x,z".');
+  const solver = opts.solver;
+  if (solver !== 'box' && solver !== 'lattice') throw new Error(`Unknown solver "${solver}".`);
+  if (opts.order !== 'rows' && opts.order !== 'spiral') throw new Error(`Unknown order "${opts.order}".`);
+  const version = opts.version;
+  if (version !== 'auto' && !GF.hashById(version)) throw new Error(`Unknown hash formula "${version}".`);
+
+  let region = null;
+  if (opts.region != null) {
+    try {
+      region = JSON.parse(opts.region);
+    } catch (err) {
+      throw new Error(`--region is not valid JSON: ${err.message}`);
+    }
+  }
+  const settings = GF.crackSettings({
+    matchMode: opts.mode,
+    tolerance: opts.tolerance,
+    maxScore: opts['max-score'],
+    maxOutliers: opts['max-outliers'],
+    maxResults: opts['max-results'],
+    maxMatches: opts['max-matches'],
+    stopAfter: opts['stop-after'],
+  });
+  return {
+    centerX: int(center[0], 'center'),
+    centerZ: int(center[1], 'center'),
+    radius: int(opts.radius, 'radius'),
+    yMin: int(opts['y-min'], 'y-min'),
+    yMax: int(opts['y-max'], 'y-max'),
+    version,
+    ...settings,
+    useWorkers: !opts['no-workers'],
+    solver,
+    order: opts.order,
+    region,
+  };
+}
+
+// Same layout as the browser's result list.
+function formatMatch(m, params){
+  const pos = (params.version === 'auto') ? `${m.x} ${m.y} ${m.z}  [${GF.hashById(m.version)?.label ?? m.version}]` : `${m.x} ${m.y} ${m.z}`;
+  const base = (params.matchMode === 'scored') ? `${pos}  score=${m.score}`
+    : (params.matchMode === 'outliers') ? `${pos}  outliers=${m.outliers?.length ? m.outliers.map(id => `#${id}`).join(',') : 'none'}`
+    : pos;
+  return (typeof m.likelihood === 'number') ? `${base}  likelihood=${(m.likelihood * 100).toFixed(1)}%` : base;
+}
+
+async function main(argv){
+  const { values: opts, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (positionals.length > 1) throw new Error('Expected at most one data file.');
+
+  if (opts.hashes != null) GF.registerHash(JSON.parse(readFileSync(opts.hashes, 'utf8')));
+  const params = crackParams(opts);
+  const rows = GF.rowsFromData(parseGrassDataStrict(readInput(positionals[0])));
+  useNodeHost({ threads: opts.threads == null ? 0 : int(opts.threads, 'threads') });
+
+  // Ctrl+C stops the scan and still prints what was found.
+  const abort = new AbortController();
+  process.once('SIGINT', () => abort.abort());
+
+  const progress = !opts.quiet && process.stderr.isTTY;
+  const t0 = performance.now();
+  const res = await GF.crack({
+    ...params,
+    rows,
+    signal: abort.signal,
+    onProgress: progress ? ({ done, total, matches, cellsPerSecond, etaMs }) => {
+      const pct = total ? (done / total * 100) : 0;
+      const eta = (etaMs == null) ? '' : `  ETA ${GF.formatDuration(etaMs)}`;
+      process.stderr.write(`\rCracking... ${pct.toFixed(1)}%  matches ${matches}  ${GF.formatRate(cellsPerSecond)}${eta}   `);
+    } : undefined,
+  });
+  if (progress) process.stderr.write('\n');
+  const seconds = (performance.now() - t0) / 1000;
+
+  if (opts.json) {
+    const { estimate, ...rest } = res;
+    process.stdout.write(JSON.stringify({ ...rest, cells: estimate?.cells ?? null, seconds }, null, 2) + '\n');
+  } else {
+    for (const m of res.matches) process.stdout.write(formatMatch(m, params) + '\n');
+  }
+  if (res.warning) process.stderr.write(`${res.warning}\n`);
+  if (!opts.quiet) process.stderr.write(`${res.matches.length} match(es) in ${seconds.toFixed(1)} s (${GF.formatRate(res.stats?.cellsPerSecond ?? 0)}).\n`);
+  return res.matches.length ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    process.stderr.write(`grassfinder: ${err?.message || err}\n`);
+    process.exitCode = 2;
+  },
+);
@@ -0,0 +1,187 @@
+// --- Foliage data ---
+// The foliage catalog and the offset data text format, shared by the editor (main.js), the
+// cracker (grassfinder.js) and the command line tool (grassfinder_cli.js). Nothing here touches
+// the DOM.
+
+// --- Foliage catalog ---
+// Each foliage type has:
+//  - id: stable export/import token
+//  - label: UI label
+//  - offsetType: 'XYZ' (x/y/z) or 'XZ' (x/z only; y is unobservable in-game)
+//  - model: 'single' (one-block cross), or 'double' (two-block style preview)
+export const FOLIAGE = {
+  groups: [
+    {
+      label: 'grass',
+      items: [
+        { id: 'SHORT_GRASS', label: 'short grass', offsetType: 'XYZ', model: 'single' },
+        { id: 'TALL_GRASS', label: 'tall grass', offsetType: 'XZ', model: 'double' },
+        { id: 'FERN', label: 'fern', offsetType: 'XYZ', model: 'single' },
+        { id: 'LARGE_FERN', label: 'large fern', offsetType: 'XZ', model: 'double' },
+
+        { id: 'SHORT_DRY_GRASS', label: 'short dry grass', offsetType: 'XYZ', model: 'single' },
+        { id: 'TALL_DRY_GRASS', label: 'tall dry grass', offsetType: 'XYZ', model: 'single' },
+
+        { id: 'SMALL_DRIPLEAF', label: 'small dripleaf', offsetType: 'XYZ', model: 'single' },
+
+        { id: 'CRIMSON_ROOTS', label: 'crimson roots', offsetType: 'XZ', model: 'single' },
+        { id: 'WARPED_ROOTS', label: 'warped roots', offsetType: 'XZ', model: 'single' },
+        { id: 'NETHER_SPROUTS', label: 'warped sprouts', offsetType: 'XZ', model: 'single' },
+
+        { id: 'TALL_SEAGRASS', label: 'tall seagrass', offsetType: 'XZ', model: 'double' },
+      ],
+    },
+    {
+      label: 'flowers',
+      items: [
+        { id: 'DANDELION', label: 'dandelion', offsetType: 'XZ', model: 'single' },
+        { id: 'TORCHFLOWER', label: 'torchflower', offsetType: 'XZ', model: 'single' },
+        { id: 'POPPY', label: 'poppy', offsetType: 'XZ', model: 'single' },
+        { id: 'BLUE_ORCHID', label: 'blue orchid', offsetType: 'XZ', model: 'single' },
+        { id: 'ALLIUM', label: 'allium', offsetType: 'XZ', model: 'single' },
+        { id: 'AZURE_BLUET', label: 'azure bluet', offsetType: 'XZ', model: 'single' },
+
+        { id: 'RED_TULIP', label: 'red tulip', offsetType: 'XZ', model: 'single' },
+        { id: 'ORANGE_TULIP', label: 'orange tulip', offsetType: 'XZ', model: 'single' },
+        { id: 'WHITE_TULIP', label: 'white tulip', offsetType: 'XZ', model: 'single' },
+        { id: 'PINK_TULIP', label: 'pink tulip', offsetType: 'XZ', model: 'single' },
+
+        { id: 'OXEYE_DAISY', label: 'oxeye daisy', offsetType: 'XZ', model: 'single' },
+        { id: 'CORNFLOWER', label: 'cornflower', offsetType: 'XZ', model: 'single' },
+        { id: 'WITHER_ROSE', label: 'wither rose', offsetType: 'XZ', model: 'single' },
+        { id: 'LILY_OF_THE_VALLEY', label: 'lily of the valley', offsetType: 'XZ', model: 'single' },
+
+        { id: 'SUNFLOWER', label: 'sunflower', offsetType: 'XZ', model: 'double' },
+        { id: 'LILAC', label: 'lilac', offsetType: 'XZ', model: 'double' },
+        { id: 'ROSE_BUSH', label: 'rose bush', offsetType: 'XZ', model: 'double' },
+        { id: 'PEONY', label: 'peony', offsetType: 'XZ', model: 'double' },
+
+        { id: 'PITCHER_PLANT', label: 'pitcher plant', offsetType: 'XZ', model: 'double' },
+
+        { id: 'OPEN_EYEBLOSSOM', label: 'eyeblossom (open)', offsetType: 'XZ', model: 'single' },
+        { id: 'CLOSED_EYEBLOSSOM', label: 'eyeblossom (closed)', offsetType: 'XZ', model: 'single' },
+      ],
+    },
+    {
+      label: 'misc',
+      items: [
+        { id: 'CUBE', label: 'cube (for visuals only)', offsetType: 'XZ', model: 'single' },
+        { id: 'HANGING_ROOTS', label: 'hanging roots', offsetType: 'XZ', model: 'single' },
+        { id: 'MANGROVE_PROPAGULE', label: 'mangrove propagule', offsetType: 'XZ', model: 'single' },
+        { id: 'BAMBOO_SAPLING', label: 'bamboo sapling', offsetType: 'XZ', model: 'single' },
+        { id: 'BAMBOO', label: 'bamboo', offsetType: 'XZ', model: 'single' },
+        { id: 'POINTED_DRIPSTONE', label: 'pointed dripstone', offsetType: 'XZ', model: 'single' },
+      ],
+    },
+  ],
+  byId: new Map(),
+};
+
+for (const g of FOLIAGE.groups) {
+  for (const it of g.items) FOLIAGE.byId.set(it.id, it);
+}
+
+export function foliageMaskFor(offsetType){
+  return (offsetType === 'XZ') ? 0xF0F : 0xFFF;
+}
+
+export function isYOffsetLocked(foliageId){
+  const def = FOLIAGE.byId.get(foliageId);
+  return (def?.offsetType === 'XZ');
+}
+
+export function isPointedDripstone(id){ return String(id || '') === 'POINTED_DRIPSTONE'; }
+
+// --- Offset data text format ---
+// One sample per line, as the Export button writes it:
+//   blockX blockY blockZ  offX offY offZ  [TYPE] [variant]
+
+export function parseGrassDataStrict(text){
+  const lines = String(text || '').split(/\r?\n/);
+  const rows = [];
+
+  for (let i = 0; i < lines.length; i++){
+    // Accept ANY whitespace-separated columns (spaces/tabs), including fixed-width padded columns.
+    // Format:
+	    //   blockX blockY blockZ  offX offY offZ  [TYPE] [variant]
+	    // TYPE is optional and defaults to SHORT_GRASS.
+    let raw = String(lines[i] || '').trim();
+    if (!raw) continue;
+
+    // Allow end-of-line comments (handy for notes while pasting data).
+    raw = raw.replace(/\s*(?:#|\/\/).*$/, '').trim();
+    if (!raw) continue;
+
+    // Tokenize by whitespace (handles "lots of spaces" and tabs).
+    const parts = raw.split(/\s+/);
+    if (parts.length < 6){
+	      throw new Error(`Invalid format on line ${i+1}. Expected: blockX blockY blockZ offX offY offZ [TYPE]`);
+    }
+
+    // Parse the six required integers.
+    const nums = parts.slice(0, 6).map(v => Number(v));
+    if (!nums.every(n => Number.isInteger(n))){
+      throw new Error(`Invalid numbers on line ${i+1}. Expected 6 integers: blockX blockY blockZ offX offY offZ`);
+    }
+    const [bx, by, bz, ox, oy, oz] = nums;
+
+    let kind = (parts[6] ? String(parts[6]).trim() : 'SHORT_GRASS');
+    const variantToken = parts[7] ? String(parts[7]).trim() : '';
+
+    // Legacy aliases
+    if (/^short$/i.test(kind)) kind = 'SHORT_GRASS';
+    if (/^tall$/i.test(kind)) kind = 'TALL_GRASS';
+    kind = kind.toUpperCase();
+
+    // Legacy alias for earlier builds
+    if (kind === 'GRASS_BLOCK_CUBE') kind = 'CUBE';
+
+    // Normalize unknown foliage ids to SHORT_GRASS so the UI stays usable.
+    if (!FOLIAGE.byId.has(kind)) kind = 'SHORT_GRASS';
+
+    if (![ox, oy, oz].every(v => Number.isInteger(v) && v >= 0 && v <= 15)){
+      throw new Error(`Offsets must be 0-15 on line ${i+1}. Got: ${ox} ${oy} ${oz}`);
+    }
+
+    const row = { bx, by, bz, ox, oy, oz, kind };
+    if (kind === 'MANGROVE_PROPAGULE' && variantToken) row.propaguleModel = variantToken;
+    if (kind === 'CUBE'){
+      // Cube block types are a rendering detail; the editor falls back to GRASS_BLOCK for unknown ones.
+      row.cubeType = variantToken ? String(variantToken).toUpperCase() : 'GRASS_BLOCK';
+    }
+
+    rows.push(row);
+  }
+
+  if (!rows.length) throw new Error('No grass data found.');
+  return rows;
+}
+
+// Block list for the forward calculator: `blockX blockY blockZ [TYPE]` per line. Full offset
+// data lines are accepted too (their offsets are ignored), so a dataset can be re-derived.
+export function parseBlockListStrict(text){
+  const lines = String(text || '').split(/\r?\n/);
+  const blocks = [];
+
+  for (let i = 0; i < lines.length; i++){
+    const raw = String(lines[i] || '').replace(/\s*(?:#|\/\/).*$/, '').trim();
+    if (!raw) continue;
+
+    const parts = raw.split(/\s+/);
+    const nums = parts.slice(0, 3).map(v => Number(v));
+    if (parts.length < 3 || !nums.every(n => Number.isInteger(n))){
+      throw new Error(`Invalid format on line ${i+1}. Expected: blockX blockY blockZ [TYPE]`);
+    }
+    const isDataLine = parts.length >= 6 && parts.slice(3, 6).every(v => Number.isInteger(Number(v)));
+    let kind = String(parts[isDataLine ? 6 : 3] || 'SHORT_GRASS').toUpperCase();
+    if (kind === 'SHORT') kind = 'SHORT_GRASS';
+    if (kind === 'TALL') kind = 'TALL_GRASS';
+    if (kind === 'CUBE' || kind === 'GRASS_BLOCK_CUBE') continue;  // no render offset
+    if (!FOLIAGE.byId.has(kind)) kind = 'SHORT_GRASS';
+
+    blocks.push({ x: nums[0], y: nums[1], z: nums[2], kind });
+  }
+
+  if (!blocks.length) throw new Error('No blocks found.');
+  return blocks;
+}
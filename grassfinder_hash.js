@@ -0,0 +1,114 @@
+// --- Offset hash definitions ---
+// A hash definition says how a block position becomes its packed 12-bit offset
+// (X nibble | Y nibble << 4 | Z nibble << 8):
+//
+//   seed:   l = (x*xMult) ^ (z*zMult) ^ y        combine 'xor' (vanilla b1.7.3+ / 1.8+)
+//           l = (x*xMult + z*zMult + y)          combine 'add' (b1.6-tb3 RenderBlocks)
+//           (the y term is 0 when ignoreY is set)
+//   mix:    l = l*l*lcgMult + l*lcgAddend
+//   offset: (l >>> shift) & 0xFFF
+//
+// Vanilla computes l as a 64-bit long, but bits shift..shift+11 only depend on the low 32 bits
+// of every intermediate result while shift <= MAX_HASH_SHIFT, so 32-bit Math.imul is exact.
+
+export const MAX_HASH_SHIFT = 20;
+
+const VANILLA = { xMult: 3_129_871, lcgMult: 42_317_861, lcgAddend: 11, shift: 16 };
+
+export const BUILTIN_HASHES = Object.freeze([
+  Object.freeze({ id: 'post1_12', label: '1.8+', ...VANILLA, zMult: 116_129_781, combine: 'xor', ignoreY: true }),
+  Object.freeze({ id: 'postb1_5', label: 'pre 1.8', ...VANILLA, zMult: 116_129_781, combine: 'xor', ignoreY: false }),
+  Object.freeze({ id: 'b1_6_tb3', label: 'b1.6-tb3 (pre 1.8)', ...VANILLA, zMult: 6_129_781, combine: 'add', ignoreY: false }),
+]);
+
+// Multipliers are Java ints (or longs, of which only the low 32 bits matter): accept signed or
+// unsigned 32-bit values and store them as signed.
+function int32(v, what, id){
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < -(2 ** 31) || n >= 2 ** 32) {
+    throw new Error(`Hash "${id}": ${what} must be a 32-bit integer.`);
+  }
+  return n | 0;
+}
+
+/**
+ * Validate a hash definition and return a frozen, normalized copy.
+ * `label`, `lcgMult`, `lcgAddend`, `shift` and `ignoreY` default to the vanilla values.
+ * Throws on malformed definitions.
+ */
+export function normalizeHash(def){
+  const id = String(def?.id ?? '');
+  if (!/^[A-Za-z0-9_.-]+$/.test(id)) {
+    throw new Error('Hash id must be a non-empty name of letters, digits, "_", "." or "-".');
+  }
+  const combine = String(def.combine ?? 'xor').toLowerCase();
+  if (combine !== 'xor' && combine !== 'add') throw new Error(`Hash "${id}": combine must be "xor" or "add".`);
+  const shift = Number(def.shift ?? VANILLA.shift);
+  if (!Number.isInteger(shift) || shift < 0 || shift > MAX_HASH_SHIFT) {
+    throw new Error(`Hash "${id}": shift must be a whole number from 0 to ${MAX_HASH_SHIFT}.`);
+  }
+  if (def.ignoreY != null && typeof def.ignoreY !== 'boolean') throw new Error(`Hash "${id}": ignoreY must be true or false.`);
+
+  return Object.freeze({
+    id,
+    label: String(def.label ?? id),
+    xMult: int32(def.xMult, 'xMult', id),
+    zMult: int32(def.zMult, 'zMult', id),
+    combine,
+    ignoreY: !!def.ignoreY,
+    lcgMult: int32(def.lcgMult ?? VANILLA.lcgMult, 'lcgMult', id),
+    lcgAddend: int32(def.lcgAddend ?? VANILLA.lcgAddend, 'lcgAddend', id),
+    shift,
+  });
+}
+
+// Packed 12-bit offset of block (x, y, z) under a normalized hash definition.
+export function hashOffset(x, y, z, h){
+  const ax = Math.imul(x | 0, h.xMult);
+  const az = Math.imul(z | 0, h.zMult);
+  const ay = h.ignoreY ? 0 : (y | 0);
+  let l = (h.combine === 'add') ? ((ax + az + ay) | 0) : (ax ^ az ^ ay);
+  return mixSeed(l, h);
+}
+
+function mixSeed(l, h){
+  const ll = Math.imul(l, l);
+  l = (Math.imul(ll, h.lcgMult) + Math.imul(l, h.lcgAddend)) | 0;
+  return (l >>> h.shift) & 0xFFF;
+}
+
+/**
+ * Offsets of the samples `relDx/relDy/relDz` along a row of candidates (fixed y and z).
+ * Both seed formulas split into an X term and a Z/Y term. The X term of candidate x is
+ * `xTerm = x*xMult`, which the caller steps by `xMult` per candidate, plus the sample's
+ * dx*xMult (precomputed); the Z/Y term is the same for the whole row and is set by `row(y, z)`.
+ * That leaves only the mix per sample and candidate.
+ *
+ * After `row(y, z)`, `offset(i, xTerm)` equals hashOffset(x + relDx[i], y + relDy[i], z + relDz[i], h).
+ */
+export function hashRows(h, relDx, relDy, relDz){
+  const n = relDx.length | 0;
+  const dxTerm = new Int32Array(n);
+  for (let i = 0; i < n; i++) dxTerm[i] = Math.imul(relDx[i], h.xMult);
+  const zyTerm = new Int32Array(n);
+  const add = (h.combine === 'add');
+
+  return {
+    row(y, z){
+      for (let i = 0; i < n; i++) {
+        const az = Math.imul((z + relDz[i]) | 0, h.zMult);
+        const ay = h.ignoreY ? 0 : ((y + relDy[i]) | 0);
+        zyTerm[i] = add ? ((az + ay) | 0) : (az ^ ay);
+      }
+    },
+    offset(i, xTerm){
+      const ax = (xTerm + dxTerm[i]) | 0;
+      return mixSeed(add ? ((ax + zyTerm[i]) | 0) : (ax ^ zyTerm[i]), h);
+    },
+  };
+}
+
+// Flat parameter list for the WASM scanners; the layout matches `Hash::from_params` in lib.rs.
+export function hashParams(h){
+  return Int32Array.of(h.xMult, h.zMult, h.combine === 'add' ? 1 : 0, h.ignoreY ? 1 : 0, h.lcgMult, h.lcgAddend, h.shift);
+}
@@ -0,0 +1,214 @@
+// --- Lattice (bit-lifting) solver ---
+// The box scanners test every (x,z[,y]) in the search area, so their cost grows with radius^2.
+// This solver inverts the hash instead:
+//
+//   seed:   l = (x*xMult) ^ (z*zMult) ^ y        (XOR, b1.7.3+ / 1.8+)
+//           l = (x*xMult + z*zMult + y)          (ADD, b1.6-tb3)
+//   mix:    l = l*l*lcgMult + l*lcgAddend
+//   offset: (l >>> 16) & 0xFFF
+//
+// (see grassfinder_hash.js). Any hash definition works as long as it keeps shift 16 and an odd
+// zMult, which the root enumeration inverts.
+//
+// Bit b of the mixed value only depends on bits 0..b of the seed, and bits 0..k-1 of the seed
+// only depend on bits 0..k-1 of x and z (multiply, add and xor never carry downwards).
+// So once (x mod 2^k, z mod 2^k) is fixed, offset bit k-1 of every sample is fixed too.
+//
+// We enumerate (x mod 2^17, z mod 2^17) "roots" that agree with offset bit 16 of every sample,
+// then lift one bit of x and z at a time (4 branches), dropping branches that disagree with the
+// next offset bit. At 28 bits the whole 12-bit offset is explained and (x,z) is known mod 2^28,
+// which is unique inside the world border (±30M < 2^27). The cost only depends on the number of
+// roots, not on the radius.
+
+export const LATTICE_ROOT_BITS = 17;
+export const LATTICE_ROOTS = 1 << LATTICE_ROOT_BITS;
+const LIFT_BITS = 28;
+const MOD_LIFT = 2 ** LIFT_BITS;
+const ROOT_MASK = LATTICE_ROOTS - 1;
+
+// Inverse of an odd multiplier mod 2^32 (Newton iteration, each step doubles the correct bits).
+function inverseOdd32(a){
+  let inv = a | 0;
+  for (let i = 0; i < 5; i++) inv = Math.imul(inv, (2 - Math.imul(a, inv)) | 0) | 0;
+  return inv;
+}
+
+function mix(ctx, l){
+  const ll = Math.imul(l, l) | 0;
+  return (Math.imul(ll, ctx.lcgMult) + Math.imul(l, ctx.lcgAddend)) | 0;
+}
+
+function dripstoneNibbleMatches(expected, predicted){
+  if (expected <= 3) return predicted <= 3;
+  if (expected >= 12) return predicted >= 12;
+  return predicted === expected;
+}
+
+/**
+ * Validate a rel-sample dataset and precompute per-bit observer lists for the lattice solver.
+ * Throws if the dataset can't drive the root enumeration.
+ *
+ * @param {{relDx:Int32Array, relDy:Int32Array, relDz:Int32Array, relPacked:Uint16Array,
+ *   relMask:Uint16Array, relDrip:Uint8Array, hash:object, anyY:boolean}} opts
+ *   `hash` is a normalized hash definition (grassfinder_hash.js).
+ */
+export function prepareLattice({ relDx, relDy, relDz, relPacked, relMask, relDrip, hash, anyY }){
+  const n = relDx.length | 0;
+  if (hash.shift !== 16 || (hash.zMult & 1) === 0) {
+    throw new Error(`Lattice solver needs a hash with shift 16 and an odd zMult; "${hash.id}" has not.`);
+  }
+  const hashCtx = { lcgMult: hash.lcgMult, lcgAddend: hash.lcgAddend };
+
+  // For each offset bit 16..27, the samples that observe it and the bit they expect.
+  // Dripstone X/Z nibbles are equivalence classes (0..3 / 12..15), not exact bits,
+  // so they only take part in the final strict check.
+  const observers = [];
+  for (let b = 16; b < LIFT_BITS; b++) {
+    const j = b - 16;
+    const axis = j >> 2;
+    const idx = [];
+    const want = [];
+    for (let i = 0; i < n; i++) {
+      if (((relMask[i] >>> j) & 1) === 0) continue;
+      if (relDrip[i] && axis !== 1) continue;
+      idx.push(i);
+      want.push((relPacked[i] >>> j) & 1);
+    }
+    observers.push({ idx: Int32Array.from(idx), want: Uint8Array.from(want) });
+  }
+
+  if (!observers[0].idx.length) {
+    throw new Error('Lattice solver needs at least one non-dripstone sample with an X offset.');
+  }
+
+  // The first observer of bit 16 drives the root enumeration through a lookup table.
+  const rootSample = observers[0].idx[0];
+  const rootWant = observers[0].want[0];
+  // Offset bit 16 only depends on seed bits 0..16, so it can be looked up instead of mixed.
+  const rootBit = new Uint8Array(LATTICE_ROOTS);
+  const goodRootSeeds = [];
+  for (let l = 0; l < LATTICE_ROOTS; l++) {
+    rootBit[l] = (mix(hashCtx, l) >>> 16) & 1;
+    if (rootBit[l] === rootWant) goodRootSeeds.push(l);
+  }
+
+  return {
+    n,
+    relDx, relDy, relDz, relPacked, relMask, relDrip,
+    seedAdd: hash.combine === 'add',
+    anyY: !!anyY || hash.ignoreY,
+    xMult: hash.xMult,
+    zMult: hash.zMult,
+    zMultInv: inverseOdd32(hash.zMult),
+    ...hashCtx,
+    observers,
+    rootSample,
+    rootBit,
+    goodRootSeeds: Int32Array.from(goodRootSeeds),
+  };
+}
+
+function seedAt(ctx, i, x, y, z){
+  const ax = Math.imul((x + ctx.relDx[i]) | 0, ctx.xMult) | 0;
+  const az = Math.imul((z + ctx.relDz[i]) | 0, ctx.zMult) | 0;
+  const ay = ctx.anyY ? 0 : ((y + ctx.relDy[i]) | 0);
+  return ctx.seedAdd ? ((ax + az + ay) | 0) : (ax ^ az ^ ay);
+}
+
+function bitMatches(ctx, b, x, y, z){
+  const obs = ctx.observers[b - 16];
+  const idx = obs.idx;
+  for (let k = 0; k < idx.length; k++) {
+    if (((mix(ctx, seedAt(ctx, idx[k], x, y, z)) >>> b) & 1) !== obs.want[k]) return false;
+  }
+  return true;
+}
+
+function rootBitMatches(ctx, x, y, z){
+  const obs = ctx.observers[0];
+  const idx = obs.idx;
+  // idx[0] is the root sample, which the enumeration already satisfies.
+  for (let k = 1; k < idx.length; k++) {
+    if (ctx.rootBit[seedAt(ctx, idx[k], x, y, z) & ROOT_MASK] !== obs.want[k]) return false;
+  }
+  return true;
+}
+
+function strictMatchAt(ctx, x, y, z){
+  for (let i = 0; i < ctx.n; i++) {
+    const pred = (mix(ctx, seedAt(ctx, i, x, y, z)) >>> 16) & 0xFFF;
+    const mask = ctx.relMask[i];
+    const exp = ctx.relPacked[i];
+    if (!ctx.relDrip[i]) {
+      if ((pred & mask) !== exp) return false;
+      continue;
+    }
+    for (let axis = 0; axis < 3; axis++) {
+      if (((mask >>> (axis * 4)) & 15) === 0) continue;
+      const pn = (pred >>> (axis * 4)) & 15;
+      const en = (exp >>> (axis * 4)) & 15;
+      if (axis === 1 ? (pn !== en) : !dripstoneNibbleMatches(en, pn)) return false;
+    }
+  }
+  return true;
+}
+
+// Smallest v >= lo with v ≡ r (mod 2^28).
+function firstInRange(r, lo){
+  return lo + (((r - lo) % MOD_LIFT) + MOD_LIFT) % MOD_LIFT;
+}
+
+/**
+ * Scan roots [rootStart, rootEnd) of one Y layer (ignored when ctx.anyY) inside the bounds.
+ * `bounds.contains(x, z)`, if set, further restricts matches (non-rectangular search regions).
+ * Pushes {x,y,z} into `out` and stops early once `out.length >= maxMatches`.
+ * Returns true if the cap was hit.
+ */
+export function scanLatticeRoots(ctx, bounds, y, rootStart, rootEnd, out, maxMatches){
+  const { x0, x1, z0, z1, contains } = bounds;
+  const rs = ctx.rootSample;
+  const dx0 = ctx.relDx[rs] | 0;
+  const dz0 = ctx.relDz[rs] | 0;
+  const y0Term = ctx.anyY ? 0 : ((y + ctx.relDy[rs]) | 0);
+  const good = ctx.goodRootSeeds;
+  const cap = maxMatches | 0;
+
+  function emit(xr, zr){
+    for (let x = firstInRange(xr, x0); x <= x1; x += MOD_LIFT) {
+      for (let z = firstInRange(zr, z0); z <= z1; z += MOD_LIFT) {
+        if (contains && !contains(x, z)) continue;
+        if (!strictMatchAt(ctx, x, y, z)) continue;
+        out.push({ x, y, z });
+        if (out.length >= cap) return true;
+      }
+    }
+    return false;
+  }
+
+  // x, z are known mod 2^k and agree with offset bits 16..k-1.
+  function lift(x, z, k){
+    if (k === LIFT_BITS) return emit(x, z);
+    const bit = 2 ** k;
+    for (let bx = 0; bx < 2; bx++) {
+      const xx = x + bx * bit;
+      for (let bz = 0; bz < 2; bz++) {
+        const zz = z + bz * bit;
+        if (!bitMatches(ctx, k, xx, y, zz)) continue;
+        if (lift(xx, zz, k + 1)) return true;
+      }
+    }
+    return false;
+  }
+
+  for (let xr = rootStart | 0; xr < (rootEnd | 0); xr++) {
+    const ax = Math.imul((xr + dx0) | 0, ctx.xMult) | 0;
+    for (let g = 0; g < good.length; g++) {
+      // Solve the root sample's seed for z mod 2^17: z*M_Z = l ^ ax ^ y  (or l - ax - y).
+      const zTerm = ctx.seedAdd ? ((good[g] - ax - y0Term) | 0) : (good[g] ^ ax ^ y0Term);
+      const zr = ((Math.imul(zTerm, ctx.zMultInv) - dz0) | 0) & ROOT_MASK;
+      if (!rootBitMatches(ctx, xr, y, zr)) continue;
+      if (lift(xr, zr, LATTICE_ROOT_BITS)) return true;
+    }
+  }
+  return false;
+}
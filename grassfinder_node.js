@@ -0,0 +1,40 @@
+// --- Node host for the cracker ---
+// Runs grassfinder.js scans on worker_threads: each worker is grassfinder_node_worker.js, which
+// loads the same grassfinder_worker.js and WASM package as the browser.
+
+import { Worker } from 'node:worker_threads';
+import { availableParallelism } from 'node:os';
+import { configureHost } from './grassfinder.js';
+
+const WORKER_ENTRY = new URL('./grassfinder_node_worker.js', import.meta.url);
+
+// A worker_threads Worker behind the browser Worker interface the cracker drives. The pool
+// unrefs idle workers, so they don't keep the process alive once the work is done.
+function createWorker(){
+  const worker = new Worker(WORKER_ENTRY);
+  const proxy = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (msg, transfer) => worker.postMessage(msg, transfer),
+    terminate: () => { worker.terminate(); },
+    ref: () => worker.ref(),
+    unref: () => worker.unref(),
+  };
+  worker.on('message', (data) => proxy.onmessage?.({ data }));
+  worker.on('error', (err) => proxy.onerror?.(err));
+  return proxy;
+}
+
+/**
+ * Point grassfinder.js at worker_threads. `threads` caps the worker count (default: every core).
+ */
+export function useNodeHost({ threads } = {}){
+  const n = Math.max(1, (threads|0) || availableParallelism());
+  configureHost({
+    hasWorkers: () => true,
+    createWorker,
+    hardwareConcurrency: () => n,
+    nextFrame: (fn) => setImmediate(fn),
+    sharedMemory: () => true,
+  });
+}
@@ -0,0 +1,15 @@
+// Node entry point of grassfinder_worker.js, started by grassfinder_node.js in a worker_threads
+// thread. Provides the bits of the Web Worker global scope the worker uses (`self.postMessage`,
+// `self.onmessage`) and a reader for the WASM files, which Node's fetch() can't load from a
+// file URL.
+
+import { parentPort } from 'node:worker_threads';
+import { readFileSync } from 'node:fs';
+
+globalThis.GRASSFINDER_READ_WASM = (url) => readFileSync(url);
+globalThis.self = globalThis;
+globalThis.postMessage = (msg, transfer) => parentPort.postMessage(msg, transfer);
+
+await import('./grassfinder_worker.js');
+
+parentPort.on('message', (data) => self.onmessage({ data }));
@@ -0,0 +1,328 @@
+// --- Worker pool ---
+// Persistent workers (grassfinder_worker.js) shared by every crack and by the smaller tasks that
+// run off the main thread. Each worker loads its WASM build once, when it's created, and stays
+// up between jobs.
+//
+// A job is split into tiles (see scanCrack() in grassfinder.js): the pool hands them out one by
+// one, so a worker that finishes early takes more instead of waiting for the slowest stripe.
+// With shared memory (cross-origin isolated pages, Node) the workers take tiles themselves from
+// a counter in a SharedArrayBuffer:
+//
+//   queue[0]  next entry of `order` to take (Atomics.add)
+//   queue[1]  0 = running, 1 = paused, 2 = stopped
+//   queue[2]  score limit of ranked scans (-1 = the job's own)
+//
+// Otherwise the pool grants tiles by message, TILES_IN_FLIGHT per worker, so a worker always has
+// the next tile queued while its last result is on the way.
+//
+// Worker messages: {type: "job"} defines a job, {type: "claim"} starts taking tiles from the
+// shared queue (answered by {type: "idle"} once it stops), {type: "tiles"} grants tiles,
+// {type: "release"} drops a finished job, {type: "task", taskId} runs a one-off task. Every tile
+// is answered by {type: "tile", tile, cells, matches, hitCap, scanners}, `scanners` being the
+// engines its scans ran on. Workers announce the scanner build they loaded with
+// {type: "ready", build}.
+
+const TILES_IN_FLIGHT = 2;
+
+const RUNNING = 0;
+const PAUSED = 1;
+const STOPPED = 2;
+
+/**
+ * @param {{createWorker:() => object, size:number, shared?:boolean}} opts
+ *   `shared`: hand out tiles through a SharedArrayBuffer.
+ */
+export function createWorkerPool({ createWorker, size, shared = false }){
+  const workers = [];
+  // Jobs in start order; the first one that has tiles left gets an idle worker.
+  const jobs = [];
+  const tasks = new Map();
+  let nextWorkerId = 1;
+  let nextJobId = 1;
+  let nextTaskId = 1;
+  let closed = false;
+
+  function spawn(){
+    const slot = { id: nextWorkerId++, w: createWorker(), build: null, known: new Set(), job: null, granted: 0, since: 0, cells: 0, busyMs: 0, tiles: 0, tasks: 0 };
+    slot.w.onmessage = (ev) => onMessage(slot, ev.data);
+    slot.w.onerror = (err) => onCrash(slot, err);
+    slot.w.unref?.();
+    workers.push(slot);
+    return slot;
+  }
+
+  // Node keeps the process alive for a referenced worker; only busy ones are.
+  function setBusy(slot, job){
+    const now = performance.now();
+    if (job && !slot.job) {
+      slot.since = now;
+      slot.w.ref?.();
+      const share = job.shares.get(slot) ?? { slot, cells: 0, busyMs: 0, since: null, scanners: new Set() };
+      share.since = now;
+      job.shares.set(slot, share);
+    }
+    if (!job && slot.job) {
+      slot.busyMs += now - slot.since;
+      const share = slot.job.shares.get(slot);
+      share.busyMs += now - share.since;
+      share.since = null;
+      if (!slot.tasks) slot.w.unref?.();
+    }
+    slot.job = job;
+  }
+
+  function ensureWorkers(){
+    while (workers.length < size) spawn();
+  }
+
+  function hasTilesLeft(job){
+    return job.state === RUNNING && (job.queue ? Atomics.load(job.queue, 0) : job.next) < job.order.length;
+  }
+
+  function dispatch(){
+    if (closed) return;
+    for (const job of jobs) {
+      if (!hasTilesLeft(job)) continue;
+      ensureWorkers();
+      for (const slot of workers) {
+        if (slot.job || !hasTilesLeft(job)) continue;
+        if (!slot.known.has(job.id)) {
+          const queued = job.queue ? { order: job.order, queue: job.queue } : {};
+          slot.w.postMessage({ ...job.def, ...queued, type: 'job', jobId: job.id });
+          slot.known.add(job.id);
+        }
+        setBusy(slot, job);
+        job.workers.add(slot);
+        if (job.queue) slot.w.postMessage({ type: 'claim', jobId: job.id });
+        else grant(slot, job);
+      }
+    }
+  }
+
+  function grant(slot, job){
+    const tiles = [];
+    while (slot.granted + tiles.length < TILES_IN_FLIGHT && hasTilesLeft(job)) tiles.push(job.order[job.next++]);
+    if (!tiles.length) return;
+    slot.granted += tiles.length;
+    slot.w.postMessage({ type: 'tiles', jobId: job.id, tiles, limit: job.limit });
+  }
+
+  // The worker is done with `job` (paused, stopped, or no tiles left).
+  function leave(slot, job){
+    if (slot.job !== job) return;
+    job.workers.delete(slot);
+    setBusy(slot, null);
+    settle(job);
+    dispatch();
+  }
+
+  function settle(job){
+    if (job.workers.size || (hasTilesLeft(job) || job.state === PAUSED) && !job.failed) return;
+    const i = jobs.indexOf(job);
+    if (i < 0) return;
+    jobs.splice(i, 1);
+    for (const slot of workers) {
+      if (slot.known.delete(job.id)) slot.w.postMessage({ type: 'release', jobId: job.id });
+    }
+    if (job.failed) job.reject(job.failed);
+    else job.resolve({ stopped: job.state === STOPPED, ms: job.ms() });
+  }
+
+  function onMessage(slot, msg){
+    if (!msg) return;
+    if (msg.type === 'ready') {
+      slot.build = msg.build ?? null;
+      return;
+    }
+    if (msg.taskId != null) {
+      const t = tasks.get(msg.taskId);
+      if (!t) return;
+      tasks.delete(msg.taskId);
+      if (!--slot.tasks && !slot.job) slot.w.unref?.();
+      if (msg.type === 'error') t.reject(new Error(msg.message));
+      else t.resolve(msg);
+      return;
+    }
+    const job = jobs.find(j => j.id === msg.jobId);
+    if (!job) return;
+    if (msg.type === 'error') {
+      fail(job, new Error(msg.message));
+      // The worker dropped its other tiles of the job.
+      slot.granted = 0;
+      if (!job.queue) leave(slot, job);
+      return;
+    }
+    // Late results of a job the worker already left (stopped while tiles were queued).
+    if (slot.job !== job) return;
+    if (msg.type === 'tile') {
+      const cells = Number(msg.cells) || 0;
+      slot.cells += cells;
+      slot.tiles++;
+      job.cells += cells;
+      const share = job.shares.get(slot);
+      share.cells += cells;
+      for (const s of msg.scanners ?? []) share.scanners.add(s);
+      try {
+        job.onTile(msg);
+      } catch (err) {
+        fail(job, err);
+      }
+      if (job.queue) return;
+      slot.granted--;
+      grant(slot, job);
+      if (!slot.granted) leave(slot, job);
+      return;
+    }
+    if (msg.type === 'idle') leave(slot, job);
+  }
+
+  function fail(job, err){
+    job.failed ??= err;
+    stopJob(job);
+  }
+
+  // A crashed worker can't finish its tiles: fail what it was doing and start a fresh one later.
+  function onCrash(slot, err){
+    const i = workers.indexOf(slot);
+    if (i >= 0) workers.splice(i, 1);
+    slot.w.terminate();
+    const error = (err instanceof Error) ? err : new Error(String(err?.message || 'Worker failed.'));
+    for (const [id, t] of tasks) {
+      if (t.slot === slot) { tasks.delete(id); t.reject(error); }
+    }
+    const job = slot.job;
+    if (job) {
+      job.workers.delete(slot);
+      setBusy(slot, null);
+      fail(job, error);
+      settle(job);
+    }
+    dispatch();
+  }
+
+  function setState(job, state){
+    if (job.state === STOPPED) return;
+    job.state = state;
+    if (job.queue) Atomics.store(job.queue, 1, state);
+  }
+
+  function stopJob(job){
+    setState(job, STOPPED);
+    settle(job);
+  }
+
+  /**
+   * Runs tiles `order` (tile ids) of the job described by `def` (sent to each worker once).
+   * `onTile(msg)` sees every tile result. Returns a handle whose `done` resolves to
+   * `{stopped, ms}` once every tile finished, or once the job was stopped and its tiles in
+   * flight came back. A paused job keeps its place and frees its workers for other jobs;
+   * `paused` starts it that way.
+   */
+  function runJob(def, { order, onTile, limit = -1, paused = false }){
+    if (closed) throw new Error('The worker pool was shut down.');
+    let activeMs = 0;
+    let since = paused ? null : performance.now();
+    const job = {
+      id: nextJobId++,
+      def,
+      order: Int32Array.from(order),
+      onTile,
+      state: paused ? PAUSED : RUNNING,
+      limit,
+      next: 0,
+      queue: shared ? new Int32Array(new SharedArrayBuffer(3 * 4)) : null,
+      workers: new Set(),
+      // Per worker that took part: candidates checked and time spent on the job's tiles.
+      shares: new Map(),
+      cells: 0,
+      failed: null,
+      ms: () => activeMs + (since != null ? performance.now() - since : 0),
+    };
+    if (job.queue) {
+      job.queue[1] = job.state;
+      job.queue[2] = limit;
+    }
+    job.done = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+    jobs.push(job);
+    if (!job.order.length) settle(job);
+    dispatch();
+
+    return {
+      done: job.done,
+      pause(){
+        if (job.state !== RUNNING) return;
+        setState(job, PAUSED);
+        activeMs += performance.now() - since;
+        since = null;
+      },
+      resume(){
+        if (job.state !== PAUSED) return;
+        setState(job, RUNNING);
+        since = performance.now();
+        dispatch();
+      },
+      stop(){
+        if (since != null) { activeMs += performance.now() - since; since = null; }
+        stopJob(job);
+      },
+      // Tightened score limit of a ranked scan, for the tiles not started yet.
+      setLimit(v){
+        job.limit = v;
+        if (job.queue) Atomics.store(job.queue, 2, v);
+      },
+      // Candidates checked, time the job wasn't paused, and per worker the candidates it checked
+      // for this job, how fast (over the time it spent on them) and the engines its scans ran on.
+      stats(){
+        const now = performance.now();
+        const per = [...job.shares.values()].map(s => {
+          const busyMs = s.busyMs + (s.since != null ? now - s.since : 0);
+          return { worker: s.slot.id, build: s.slot.build, scanners: [...s.scanners].sort(), cells: s.cells, busyMs, cellsPerSecond: busyMs ? s.cells / busyMs * 1000 : 0 };
+        });
+        return { cells: job.cells, ms: job.ms(), workers: per };
+      },
+    };
+  }
+
+  /**
+   * Runs a one-off task (`msg.type` names the worker's handler) on the worker with the fewest
+   * tasks queued. Tasks run between tiles, so they don't wait for a crack to finish.
+   */
+  function task(msg, transfer = []){
+    if (closed) return Promise.reject(new Error('The worker pool was shut down.'));
+    ensureWorkers();
+    const slot = workers.reduce((a, b) => (b.tasks < a.tasks) ? b : a);
+    const taskId = nextTaskId++;
+    return new Promise((resolve, reject) => {
+      tasks.set(taskId, { resolve, reject, slot });
+      if (!slot.tasks++) slot.w.ref?.();
+      slot.w.postMessage({ ...msg, type: 'task', task: msg.type, taskId }, transfer);
+    });
+  }
+
+  /** Per-worker and total candidates checked, and the time spent on tiles. */
+  function stats(){
+    const now = performance.now();
+    const per = workers.map(s => {
+      const busyMs = s.busyMs + (s.job ? now - s.since : 0);
+      return { worker: s.id, build: s.build, cells: s.cells, tiles: s.tiles, busyMs, cellsPerSecond: busyMs ? s.cells / busyMs * 1000 : 0 };
+    });
+    return {
+      workers: per,
+      shared,
+      cells: per.reduce((a, s) => a + s.cells, 0),
+      cellsPerSecond: per.reduce((a, s) => a + s.cellsPerSecond, 0),
+    };
+  }
+
+  function terminate(){
+    closed = true;
+    for (const job of jobs.slice()) fail(job, new Error('The worker pool was shut down.'));
+    for (const t of tasks.values()) t.reject(new Error('The worker pool was shut down.'));
+    tasks.clear();
+    for (const slot of workers) slot.w.terminate();
+    workers.length = 0;
+    for (const job of jobs.slice()) { job.workers.clear(); settle(job); }
+  }
+
+  return { size, shared, runJob, task, stats, terminate };
+}
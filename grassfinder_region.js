@@ -0,0 +1,262 @@
+// --- Search regions ---
+// A region is one shape or a list of shapes (their union), in block coordinates:
+//
+//   { type: 'rect', x0, z0, x1, z1 }                           corners, inclusive
+//   { type: 'circle', centerX, centerZ, radius, innerRadius }  innerRadius <= distance <= radius
+//                                                              (innerRadius > 0 makes an annulus)
+//   { type: 'polygon', points: [[x, z], ...] }                 blocks inside or on the edge
+//
+// Scanners work on spans: for one row (fixed z) the sorted, merged X intervals the region covers,
+// or the same for one column (fixed x). Spans are computed per line on demand, so a shape as
+// large as the world border costs nothing up front.
+
+const EPS = 1e-9;
+
+function finite(v, what){
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw new Error(`Region ${what} must be a number.`);
+  return n;
+}
+
+// Largest h >= 0 with h*h <= v (v >= 0).
+function isqrtFloor(v){
+  let h = Math.floor(Math.sqrt(v));
+  while (h > 0 && h * h > v) h--;
+  while ((h + 1) * (h + 1) <= v) h++;
+  return h;
+}
+
+function normalizeShape(s){
+  const type = String(s?.type || '');
+  if (type === 'rect') {
+    const ax = Math.floor(finite(s.x0, 'x0')), bx = Math.floor(finite(s.x1, 'x1'));
+    const az = Math.floor(finite(s.z0, 'z0')), bz = Math.floor(finite(s.z1, 'z1'));
+    return { type, x0: Math.min(ax, bx), x1: Math.max(ax, bx), z0: Math.min(az, bz), z1: Math.max(az, bz) };
+  }
+  if (type === 'circle') {
+    const cx = Math.floor(finite(s.centerX, 'centerX'));
+    const cz = Math.floor(finite(s.centerZ, 'centerZ'));
+    const radius = finite(s.radius, 'radius');
+    const innerRadius = (s.innerRadius == null) ? 0 : finite(s.innerRadius, 'innerRadius');
+    if (radius < 0 || innerRadius < 0) throw new Error('Region circle radii must not be negative.');
+    if (innerRadius > radius) throw new Error('Region circle innerRadius must not exceed radius.');
+    const h = Math.floor(radius);
+    return {
+      type, cx, cz, r2: radius * radius, ri2: innerRadius * innerRadius,
+      x0: cx - h, x1: cx + h, z0: cz - h, z1: cz + h,
+    };
+  }
+  if (type === 'polygon') {
+    if (!Array.isArray(s.points) || s.points.length < 3) throw new Error('Region polygon needs at least 3 points.');
+    const pts = s.points.map(p => [finite(p?.[0], 'polygon x'), finite(p?.[1], 'polygon z')]);
+    const xs = pts.map(p => p[0]);
+    const zs = pts.map(p => p[1]);
+    return {
+      type,
+      pts,
+      // Same polygon with the axes swapped, so column spans reuse the row code.
+      ptsT: pts.map(p => [p[1], p[0]]),
+      x0: Math.ceil(Math.min(...xs) - EPS), x1: Math.floor(Math.max(...xs) + EPS),
+      z0: Math.ceil(Math.min(...zs) - EPS), z1: Math.floor(Math.max(...zs) + EPS),
+    };
+  }
+  throw new Error(`Unknown region type "${type}".`);
+}
+
+/**
+ * Validate a region (one shape or a list) and compute its bounding box.
+ * Throws on malformed shapes.
+ *
+ * @returns {{shapes:object[], x0:number, x1:number, z0:number, z1:number}}
+ */
+export function normalizeRegion(spec){
+  const list = Array.isArray(spec) ? spec : [spec];
+  if (!list.length) throw new Error('Region needs at least one shape.');
+  const shapes = list.map(normalizeShape);
+  return {
+    shapes,
+    x0: Math.min(...shapes.map(s => s.x0)),
+    x1: Math.max(...shapes.map(s => s.x1)),
+    z0: Math.min(...shapes.map(s => s.z0)),
+    z1: Math.max(...shapes.map(s => s.z1)),
+  };
+}
+
+// Pieces of box p ([x0, x1, z0, z1]) outside box b: the rows above and below b, then the parts
+// left and right of it.
+function subtractBox(p, b){
+  if (p[0] > b[1] || p[1] < b[0] || p[2] > b[3] || p[3] < b[2]) return [p];
+  const out = [];
+  if (p[2] < b[2]) out.push([p[0], p[1], p[2], b[2] - 1]);
+  if (p[3] > b[3]) out.push([p[0], p[1], b[3] + 1, p[3]]);
+  const z0 = Math.max(p[2], b[2]), z1 = Math.min(p[3], b[3]);
+  if (p[0] < b[0]) out.push([p[0], b[0] - 1, z0, z1]);
+  if (p[1] > b[1]) out.push([b[1] + 1, p[1], z0, z1]);
+  return out;
+}
+
+/**
+ * Disjoint boxes [x0, x1, z0, z1] covering the bounding box of every shape, overlaps counted
+ * once. Scans walk these rather than the region's bounding box, which for shapes far apart is
+ * mostly empty.
+ */
+export function regionBoxes(region){
+  const boxes = [];
+  for (const s of region.shapes) {
+    if (s.x0 > s.x1 || s.z0 > s.z1) continue;
+    let pieces = [[s.x0, s.x1, s.z0, s.z1]];
+    for (const b of boxes) pieces = pieces.flatMap(p => subtractBox(p, b));
+    boxes.push(...pieces);
+  }
+  return boxes;
+}
+
+function pushSpan(out, lo, hi){
+  if (lo <= hi) out.push(lo, hi);
+}
+
+// Polygon spans along the line v = c, over u (points are [u, v]). Interior via the even-odd
+// rule, plus every edge point on the line so blocks on the boundary are included.
+function polygonSpans(pts, c, out){
+  const cuts = [];
+  for (let i = 0; i < pts.length; i++) {
+    const [ua, va] = pts[i];
+    const [ub, vb] = pts[(i + 1) % pts.length];
+    if ((va <= c) !== (vb <= c)) cuts.push(ua + (c - va) * (ub - ua) / (vb - va));
+    if (Math.min(va, vb) <= c && c <= Math.max(va, vb)) {
+      if (va === vb) {
+        pushSpan(out, Math.ceil(Math.min(ua, ub) - EPS), Math.floor(Math.max(ua, ub) + EPS));
+      } else {
+        const u = ua + (c - va) * (ub - ua) / (vb - va);
+        pushSpan(out, Math.ceil(u - EPS), Math.floor(u + EPS));
+      }
+    }
+  }
+  cuts.sort((a, b) => a - b);
+  for (let k = 0; k + 1 < cuts.length; k += 2) {
+    pushSpan(out, Math.ceil(cuts[k] - EPS), Math.floor(cuts[k + 1] + EPS));
+  }
+}
+
+function shapeSpans(s, axis, c, out){
+  const row = (axis === 'row');
+  if (s.type === 'rect') {
+    if (row ? (c >= s.z0 && c <= s.z1) : (c >= s.x0 && c <= s.x1)) {
+      if (row) out.push(s.x0, s.x1);
+      else out.push(s.z0, s.z1);
+    }
+    return;
+  }
+  if (s.type === 'circle') {
+    const cu = row ? s.cx : s.cz;
+    const d = c - (row ? s.cz : s.cx);
+    const rest = s.r2 - d * d;
+    if (rest < 0) return;
+    const h = isqrtFloor(rest);
+    const innerRest = s.ri2 - d * d;
+    if (innerRest <= 0) {
+      out.push(cu - h, cu + h);
+      return;
+    }
+    // Smallest g with g*g >= innerRest.
+    let g = isqrtFloor(innerRest);
+    if (g * g < innerRest) g++;
+    if (g > h) return;
+    out.push(cu - h, cu - g, cu + g, cu + h);
+    return;
+  }
+  polygonSpans(row ? s.pts : s.ptsT, c, out);
+}
+
+/**
+ * Spans of one line of the region: axis 'row' = blocks (x, c) as X intervals,
+ * axis 'col' = blocks (c, z) as Z intervals. Returns a flat [lo0, hi0, lo1, hi1, ...]
+ * list, sorted and merged (touching intervals are joined).
+ */
+export function regionSpans(region, axis, c){
+  const raw = [];
+  for (const s of region.shapes) shapeSpans(s, axis, c, raw);
+  if (raw.length <= 2) return raw;
+
+  const order = [];
+  for (let k = 0; k < raw.length; k += 2) order.push(k);
+  order.sort((a, b) => raw[a] - raw[b]);
+
+  const out = [];
+  for (const k of order) {
+    const lo = raw[k], hi = raw[k + 1];
+    const last = out.length - 1;
+    if (last > 0 && lo <= out[last] + 1) out[last] = Math.max(out[last], hi);
+    else out.push(lo, hi);
+  }
+  return out;
+}
+
+// Intersect spans with [lo, hi].
+export function clipSpans(spans, lo, hi){
+  const out = [];
+  for (let k = 0; k < spans.length; k += 2) pushSpan(out, Math.max(lo, spans[k]), Math.min(hi, spans[k + 1]));
+  return out;
+}
+
+export function spanCells(spans){
+  let n = 0;
+  for (let k = 0; k < spans.length; k += 2) n += spans[k + 1] - spans[k] + 1;
+  return n;
+}
+
+export function regionContains(region, x, z){
+  const spans = regionSpans(region, 'row', z);
+  for (let k = 0; k < spans.length; k += 2) {
+    if (x >= spans[k] && x <= spans[k + 1]) return true;
+  }
+  return false;
+}
+
+// Square ring r around (cx, cz), clipped to the bounds and the region (if any), as boxes
+// [x0, x1, z0, z1]: pieces of the two full rows (z = cz-r, z = cz+r) and of the two columns
+// between them.
+export function ringBoxes(cx, cz, r, x0, x1, z0, z1, region = null){
+  const out = [];
+  const rx0 = Math.max(x0, cx - r), rx1 = Math.min(x1, cx + r);
+  const rz0 = Math.max(z0, cz - r + 1), rz1 = Math.min(z1, cz + r - 1);
+  if (rx0 > rx1) return out;
+
+  const row = (z) => {
+    if (!region) { out.push([rx0, rx1, z, z]); return; }
+    const s = clipSpans(regionSpans(region, 'row', z), rx0, rx1);
+    for (let k = 0; k < s.length; k += 2) out.push([s[k], s[k + 1], z, z]);
+  };
+  const col = (x) => {
+    if (!region) { out.push([x, x, rz0, rz1]); return; }
+    const s = clipSpans(regionSpans(region, 'col', x), rz0, rz1);
+    for (let k = 0; k < s.length; k += 2) out.push([x, x, s[k], s[k + 1]]);
+  };
+
+  if (cz - r >= z0 && cz - r <= z1) row(cz - r);
+  if (r > 0 && cz + r >= z0 && cz + r <= z1) row(cz + r);
+  if (r > 0 && rz0 <= rz1) {
+    if (cx - r >= x0) col(cx - r);
+    if (cx + r <= x1) col(cx + r);
+  }
+  return out;
+}
+
+// Blocks of the square of radius r around (cx, cz) inside box b.
+function squareCells(cx, cz, r, b){
+  const w = Math.min(b[1], cx + r) - Math.max(b[0], cx - r) + 1;
+  const h = Math.min(b[3], cz + r) - Math.max(b[2], cz - r) + 1;
+  return (w > 0 && h > 0) ? w * h : 0;
+}
+
+// Blocks of square ring r around (cx, cz) inside the boxes (disjoint, see regionBoxes()).
+// Zero for the rings between far-apart shapes, which spiral scans skip.
+export function ringCells(cx, cz, r, boxes){
+  let n = 0;
+  for (const b of boxes) n += squareCells(cx, cz, r, b) - (r ? squareCells(cx, cz, r - 1, b) : 0);
+  return n;
+}
+
+export function boxCells(b){
+  return (b[1] - b[0] + 1) * (b[3] - b[2] + 1);
+}
@@ -0,0 +1,470 @@
+// Unit tests for the cracker module: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import * as GF from './grassfinder.js';
+import { hashOffset } from './grassfinder_hash.js';
+import { prepareLattice, scanLatticeRoots, LATTICE_ROOTS } from './grassfinder_lattice.js';
+import { normalizeRegion, regionBoxes, regionSpans, regionContains, ringCells } from './grassfinder_region.js';
+import { parseGrassDataStrict, parseBlockListStrict } from './grassfinder_data.js';
+import { useNodeHost } from './grassfinder_node.js';
+
+// Cracks with useWorkers run on worker_threads, which load the committed WASM packages.
+useNodeHost({ threads: 2 });
+
+// A WASM package as the worker loads it.
+async function loadPkg(dir){
+  const pkg = await import(`./wasm/${dir}/grassfinder_wasm.js`);
+  await pkg.default({ module_or_path: readFileSync(new URL(`./wasm/${dir}/grassfinder_wasm_bg.wasm`, import.meta.url)) });
+  return pkg;
+}
+
+// Cracks a synthetic dataset of `version` (with `noise` wrong samples) around its hidden position on the worker pool.
+async function crackSynthetic(version, params = {}, noise = 0){
+  const { hidden, rows } = GF.syntheticDataset({ version, samples: 10, noise, rand: GF.seededRandom(2) });
+  const res = await GF.crack({ rows, centerX: hidden.x, centerZ: hidden.z, radius: 16, yMin: hidden.y, yMax: hidden.y, version, useWorkers: true, ...params });
+  const found = res.matches.some(m => m.x === hidden.x && m.z === hidden.z && (GF.versionIgnoresY(version) || m.y === hidden.y));
+  return { res, found };
+}
+
+// Engines the workers' scans ran on.
+const scannersOf = (res) => [...new Set(res.stats.workers.flatMap(w => w.scanners))].sort();
+
+test('ADD-combined seeds carry at most shift+12 bits', () => {
+  const hash = GF.hashById('b1_6_tb3');
+  assert.equal(hash.combine, 'add');
+  const seedBits = hash.shift + 12;
+
+  // Seeds that agree on their low shift+12 bits give the same offset.
+  for (const [x, y, z] of [[0, 64, 0], [123, 70, -20], [-4821, 12, 91273]]) {
+    assert.equal(hashOffset(x, y + 2 ** seedBits, z, hash), hashOffset(x, y, z, hash));
+  }
+
+  // 32 samples would be over 100 bits if they were independent.
+  const { rows } = GF.syntheticDataset({ version: 'b1_6_tb3', samples: 32, rand: GF.seededRandom(1) });
+  const cells = 2 ** 34;
+  for (const mode of ['strict', 'scored', 'outliers']) {
+    const opts = { mode, tolerance: 1, maxScore: 2, maxOutliers: 2, version: 'b1_6_tb3', layers: 1 };
+    const info = GF.crackInformation(rows, opts);
+    assert.ok(info.samples.reduce((a, s) => a + s.bits, 0) > 100, mode);
+    assert.equal(info.seedBits, seedBits, mode);
+    assert.equal(info.totalBits, seedBits, mode);
+    assert.equal(info.passRate(), 2 ** -seedBits, mode);
+
+    const est = GF.crackEstimate(rows, cells, opts);
+    assert.equal(est.expectedFalse, cells * 2 ** -seedBits, mode);
+    assert.match(est.warning, /at most 28 bits/, mode);
+  }
+
+  // XOR-combined seeds have no such ceiling.
+  const xor = GF.crackInformation(GF.syntheticDataset({ version: 'postb1_5', samples: 32, rand: GF.seededRandom(1) }).rows, { version: 'postb1_5' });
+  assert.equal(xor.seedBits, Infinity);
+  assert.ok(xor.totalBits > 100);
+});
+
+test('the WASM packages take the seed formula argument', async () => {
+  for (const dir of ['pkg', 'pkg-simd']) {
+    const pkg = await loadPkg(dir);
+    // The worker tells builds with `seed_formula` apart by the glue's parameter count.
+    assert.equal(pkg.scan_strict_box.length, 15, dir);
+    assert.equal(pkg.scan_scored_box.length, 17, dir);
+  }
+});
+
+test('b1.6-tb3 cracks run on the WASM scanners', async () => {
+  const { res, found } = await crackSynthetic('b1_6_tb3', { matchMode: 'strict' });
+  assert.ok(found);
+  assert.equal(res.stats.engine, 'workers');
+  assert.ok(res.stats.workers.length > 0);
+  for (const w of res.stats.workers) assert.match(w.build, /^wasm/);
+  assert.deepEqual(scannersOf(res), ['wasm']);
+
+  // engine 'js' makes the same workers use their JS scanners.
+  const js = await crackSynthetic('b1_6_tb3', { matchMode: 'strict', engine: 'js' });
+  assert.ok(js.found);
+  assert.equal(js.res.stats.engine, 'workers-js');
+  assert.deepEqual(scannersOf(js.res), ['js']);
+});
+
+test('outlier cracks run on the WASM scanners', async () => {
+  for (const dir of ['pkg', 'pkg-simd']) assert.equal(typeof (await loadPkg(dir)).scan_outlier_box, 'function', dir);
+
+  for (const version of ['post1_12', 'postb1_5', 'b1_6_tb3']) {
+    const { res, found } = await crackSynthetic(version, { matchMode: 'outliers', maxOutliers: 1 }, 1);
+    assert.ok(found, version);
+    assert.equal(res.stats.engine, 'workers', version);
+    assert.deepEqual(scannersOf(res), ['wasm'], version);
+    assert.ok(res.matches.every(m => m.outliers.length <= 1), version);
+  }
+});
+
+test('custom hashes run on the WASM *_hash scanners', async () => {
+  for (const [dir, lanes] of [['pkg', 1], ['pkg-simd', 4]]) {
+    const pkg = await loadPkg(dir);
+    for (const f of ['scan_strict_box_hash', 'scan_scored_box_hash', 'scan_outlier_box_hash']) assert.equal(typeof pkg[f], 'function', `${dir} ${f}`);
+    assert.equal(pkg.simd_lanes(), lanes, dir);
+  }
+
+  GF.registerHash({ id: 'test_custom', xMult: 1_234_567, zMult: 7_654_321, combine: 'add', shift: 12 });
+  try {
+    for (const matchMode of ['strict', 'scored', 'outliers']) {
+      const { res, found } = await crackSynthetic('test_custom', { matchMode, maxScore: 1, maxOutliers: 1 });
+      assert.ok(found, matchMode);
+      assert.deepEqual(scannersOf(res), ['wasm'], matchMode);
+      const js = await crackSynthetic('test_custom', { matchMode, maxScore: 1, maxOutliers: 1, engine: 'js' });
+      assert.deepEqual(res.matches, js.res.matches, matchMode);
+    }
+  } finally {
+    GF.unregisterHash('test_custom');
+  }
+});
+
+test('the self-test checks the engine of every path', async () => {
+  const { results, pass } = await GF.selfTest({ samples: 10, seed: 3, versions: ['b1_6_tb3'] });
+  assert.ok(pass);
+  const on = (path) => results.filter(r => r.path === path);
+  for (const r of [...on('box/workers'), ...on('box/workers auto')]) {
+    assert.equal(r.engine, 'workers');
+    assert.deepEqual(r.scanners, ['wasm']);
+    assert.ok(r.builds.every(b => b.startsWith('wasm')));
+  }
+  for (const r of on('box/workers-js')) assert.deepEqual([r.engine, r.scanners], ['workers-js', ['js']]);
+  for (const r of on('box/main-thread')) assert.equal(r.engine, 'main-thread');
+
+  // With one thread crack() would run the workers paths on the main thread: they're skipped.
+  useNodeHost({ threads: 1 });
+  try {
+    const single = await GF.selfTest({ samples: 10, seed: 3, versions: ['b1_6_tb3'] });
+    assert.ok(single.pass);
+    for (const r of single.results) assert.equal(r.skipped, r.path !== 'box/main-thread', r.path);
+  } finally {
+    useNodeHost({ threads: 2 });
+  }
+});
+
+test('auto estimates report the per-sample bits of a version that reads Y', () => {
+  const { rows } = GF.syntheticDataset({ version: 'postb1_5', samples: 12, rand: GF.seededRandom(4) });
+  // A second sample in the first one's column tells nothing new to a hash without Y.
+  rows.push({ ...rows[0], id: rows.length + 1, pos: { ...rows[0].pos, y: rows[0].pos.y + 1 } });
+  const auto = GF.crackEstimate(rows, 2 ** 20, { version: 'auto', layers: 4 });
+  const withY = GF.crackInformation(rows, { version: 'postb1_5' });
+  const noY = GF.crackInformation(rows, { version: 'post1_12' });
+  assert.deepEqual(auto.samples, withY.samples);
+  const sum = (info) => info.samples.reduce((a, s) => a + s.bits, 0);
+  assert.ok(sum(auto) > sum(noY));
+});
+
+test('the lattice solver recovers a known position from its root', () => {
+  const [x, y, z] = [-12_345_678, 70, 23_456_789];
+  const rel = [[0, 0, 0], [1, 0, 0], [0, 0, 1], [3, -1, 2], [-2, 1, -5], [7, 0, -3], [-4, 2, 6], [5, -2, 4]];
+  const worldBorder = { x0: -30_000_000, x1: 30_000_000, z0: -30_000_000, z1: 30_000_000 };
+  // b1.6-tb3 seeds carry 28 bits, so across the world border others match as well as (x, z).
+  const near = { x0: x - 1000, x1: x + 1000, z0: z - 1000, z1: z + 1000 };
+  for (const version of ['post1_12', 'postb1_5', 'b1_6_tb3']) {
+    const bounds = (version === 'b1_6_tb3') ? near : worldBorder;
+    const hash = GF.hashById(version);
+    const ctx = prepareLattice({
+      relDx: Int32Array.from(rel, d => d[0]),
+      relDy: Int32Array.from(rel, d => d[1]),
+      relDz: Int32Array.from(rel, d => d[2]),
+      relPacked: Uint16Array.from(rel, d => hashOffset(x + d[0], y + d[1], z + d[2], hash)),
+      relMask: new Uint16Array(rel.length).fill(0xFFF),
+      relDrip: new Uint8Array(rel.length),
+      hash,
+      anyY: hash.ignoreY,
+    });
+    // Roots are X mod 2^17; a full scan tries every one of them (minutes), this only its own.
+    const root = x & (LATTICE_ROOTS - 1);
+    const out = [];
+    assert.equal(scanLatticeRoots(ctx, bounds, y, root, root + 1, out, 10), false, version);
+    assert.deepEqual(out, [{ x, y, z }], version);
+
+    const next = [];
+    scanLatticeRoots(ctx, bounds, y, root + 1, root + 2, next, 10);
+    assert.deepEqual(next, [], version);
+  }
+});
+
+// Reference for the region tests: is block (x, z) in shape s (a region spec shape)?
+function inShape(s, x, z){
+  if (s.type === 'rect') {
+    return x >= Math.min(s.x0, s.x1) && x <= Math.max(s.x0, s.x1) && z >= Math.min(s.z0, s.z1) && z <= Math.max(s.z0, s.z1);
+  }
+  if (s.type === 'circle') {
+    const d2 = (x - s.centerX) ** 2 + (z - s.centerZ) ** 2;
+    return d2 <= s.radius ** 2 && d2 >= (s.innerRadius ?? 0) ** 2;
+  }
+  // Polygon: on an edge, or inside by the even-odd rule.
+  let inside = false;
+  const pts = s.points;
+  for (let i = 0; i < pts.length; i++) {
+    const [ax, az] = pts[i];
+    const [bx, bz] = pts[(i + 1) % pts.length];
+    const cross = (bx - ax) * (z - az) - (bz - az) * (x - ax);
+    if (cross === 0 && x >= Math.min(ax, bx) && x <= Math.max(ax, bx) && z >= Math.min(az, bz) && z <= Math.max(az, bz)) return true;
+    if ((az > z) !== (bz > z) && x < ax + (z - az) * (bx - ax) / (bz - az)) inside = !inside;
+  }
+  return inside;
+}
+
+// Spans as plain numbers: edges snapped with Math.ceil(u - EPS) come out as -0.
+const spans = (reg, axis, c) => regionSpans(reg, axis, c).map(v => v + 0);
+
+// Runs of consecutive hits along one line as [lo, hi, ...].
+function runs(lo, hi, hit){
+  const out = [];
+  for (let v = lo; v <= hi; v++) {
+    if (!hit(v)) continue;
+    if (out.length && out[out.length - 1] === v - 1) out[out.length - 1] = v;
+    else out.push(v, v);
+  }
+  return out;
+}
+
+test('region spans, boxes and rings match the shapes block by block', () => {
+  const rect = { type: 'rect', x0: 4, z0: 6, x1: -3, z1: 2 };
+  const circle = { type: 'circle', centerX: 10, centerZ: -5, radius: 6.5 };
+  const annulus = { type: 'circle', centerX: -8, centerZ: 8, radius: 7, innerRadius: 3 };
+  const concave = { type: 'polygon', points: [[0, 0], [12, 0], [12, 10], [6, 4], [0, 10]] };
+  const triangle = { type: 'polygon', points: [[-10, -10], [-2, -4], [-9, 3]] };
+  const far = { type: 'polygon', points: [[40, 40], [46, 40], [43, 47]] };
+  const specs = {
+    rect, circle, annulus, concave, triangle,
+    overlapping: [rect, circle, concave],
+    apart: [annulus, far],
+  };
+
+  for (const [name, spec] of Object.entries(specs)) {
+    const shapes = Array.isArray(spec) ? spec : [spec];
+    const inRegion = (x, z) => shapes.some(s => inShape(s, x, z));
+    const reg = normalizeRegion(spec);
+    const boxes = regionBoxes(reg);
+    const inBoxes = (x, z) => boxes.filter(b => x >= b[0] && x <= b[1] && z >= b[2] && z <= b[3]).length;
+    const inBounds = (x, z) => reg.shapes.some(s => x >= s.x0 && x <= s.x1 && z >= s.z0 && z <= s.z1);
+    const [x0, x1, z0, z1] = [reg.x0 - 2, reg.x1 + 2, reg.z0 - 2, reg.z1 + 2];
+
+    for (let z = z0; z <= z1; z++) {
+      assert.deepEqual(spans(reg, 'row', z), runs(x0, x1, x => inRegion(x, z)), `${name} row ${z}`);
+      for (let x = x0; x <= x1; x++) {
+        assert.equal(regionContains(reg, x, z), inRegion(x, z), `${name} ${x} ${z}`);
+        // The boxes cover every shape's bounding box, each block once.
+        assert.equal(inBoxes(x, z), inBounds(x, z) ? 1 : 0, `${name} boxes ${x} ${z}`);
+      }
+    }
+    for (let x = x0; x <= x1; x++) {
+      assert.deepEqual(spans(reg, 'col', x), runs(z0, z1, z => inRegion(x, z)), `${name} col ${x}`);
+    }
+
+    const [cx, cz] = [1, -2];
+    for (let r = 0; r <= 60; r++) {
+      let n = 0;
+      for (let x = cx - r; x <= cx + r; x++) {
+        for (let z = cz - r; z <= cz + r; z++) {
+          if (Math.max(Math.abs(x - cx), Math.abs(z - cz)) === r && inBounds(x, z)) n++;
+        }
+      }
+      assert.equal(ringCells(cx, cz, r, boxes), n, `${name} ring ${r}`);
+    }
+  }
+
+  // Shapes far apart leave rings with nothing to scan.
+  const apart = regionBoxes(normalizeRegion(specs.apart));
+  assert.equal(ringCells(1, -2, 30, apart), 0);
+});
+
+test('normalizeRegion rejects malformed shapes', () => {
+  assert.throws(() => normalizeRegion([]), /at least one shape/);
+  assert.throws(() => normalizeRegion({ type: 'hexagon' }), /Unknown region type/);
+  assert.throws(() => normalizeRegion({ type: 'rect', x0: 0, z0: 0, x1: 'a', z1: 1 }), /x1 must be a number/);
+  assert.throws(() => normalizeRegion({ type: 'circle', centerX: 0, centerZ: 0, radius: 3, innerRadius: 4 }), /innerRadius must not exceed/);
+  assert.throws(() => normalizeRegion({ type: 'polygon', points: [[0, 0], [1, 1]] }), /at least 3 points/);
+});
+
+test('crackSettings fills defaults and rejects values out of range', () => {
+  assert.deepEqual(GF.crackSettings(), {
+    matchMode: 'strict', tolerance: 1, maxScore: 6, maxOutliers: 1, maxResults: 50, maxMatches: 2000, stopAfter: 0,
+  });
+  // Form fields arrive as strings; empty ones take the default.
+  const s = GF.crackSettings({ matchMode: 'scored', tolerance: '2', maxScore: '', maxResults: 10000, stopAfter: '0' });
+  assert.equal(s.matchMode, 'scored');
+  assert.equal(s.tolerance, 2);
+  assert.equal(s.maxScore, 6);
+  assert.equal(s.maxResults, 10000);
+  assert.equal(s.stopAfter, 0);
+  // Both ends of every range are accepted.
+  assert.equal(GF.crackSettings({ tolerance: 0, maxScore: 0, maxOutliers: 8, maxResults: 1, maxMatches: 100000, stopAfter: 100000 }).maxOutliers, 8);
+
+  assert.throws(() => GF.crackSettings({ matchMode: 'fuzzy' }), /Unknown match mode "fuzzy"/);
+  for (const [key, bad] of [['tolerance', 3], ['maxScore', -1], ['maxOutliers', 9], ['maxResults', 0], ['maxMatches', 100001], ['stopAfter', 1.5], ['tolerance', 'abc']]) {
+    assert.throws(() => GF.crackSettings({ [key]: bad }), new RegExp(`${key} must be a whole number`), `${key}=${bad}`);
+  }
+  // Every invalid value is listed at once.
+  assert.throws(() => GF.crackSettings({ tolerance: -1, maxResults: 0 }), /tolerance must .*; maxResults must/);
+});
+
+test('crack reports invalid settings instead of scanning', async () => {
+  const { rows } = GF.syntheticDataset({ version: 'post1_12', samples: 4, rand: GF.seededRandom(3) });
+  const res = await GF.crack({ rows, centerX: 0, centerZ: 0, radius: 4, yMin: 64, yMax: 64, version: 'post1_12', maxResults: 0 });
+  assert.deepEqual(res.matches, []);
+  assert.match(res.warning, /Invalid crack settings: maxResults must be a whole number from 1 to 10000/);
+});
+
+test('verifyMatch confirms the right position and names the wrong axes', () => {
+  const version = 'post1_12';
+  const { hidden, rows, noisy } = GF.syntheticDataset({ version, samples: 12, noise: 2, rand: GF.seededRandom(4) });
+  const origin = rows[0].pos;
+  const match = { ...hidden, version };
+
+  const res = GF.verifyMatch(match, rows, origin);
+  assert.equal(res.agree, rows.length - noisy.length);
+  assert.equal(res.pass, false);
+  for (const s of res.samples) {
+    // Noise moves the X offset one snap, so those samples fail on X only.
+    assert.deepEqual(s.wrongAxes, noisy.includes(s.id) ? ['X'] : [], `sample ${s.id}`);
+    assert.deepEqual(s.world, { x: hidden.x + rows[s.id - 1].pos.x, y: hidden.y + rows[s.id - 1].pos.y, z: hidden.z + rows[s.id - 1].pos.z });
+  }
+
+  // Without the noisy samples every one agrees, dripstone plateaus and tall grass included.
+  const clean = rows.filter(r => !noisy.includes(r.id));
+  assert.ok(clean.some(r => r.isDripstone) && clean.some(r => r.kind === 'TALL_GRASS'));
+  const ok = GF.verifyMatch(match, clean, origin);
+  assert.equal(ok.pass, true);
+  assert.equal(ok.agree, clean.length);
+  // The origin only sets where the samples land: moving both keeps the result.
+  assert.equal(GF.verifyMatch({ ...match, x: match.x + 5 }, clean, { ...origin, x: origin.x + 5 }).pass, true);
+
+  // One block off, or under another hash, the samples disagree.
+  assert.equal(GF.verifyMatch({ ...match, x: match.x + 1 }, clean, origin).pass, false);
+  assert.equal(GF.verifyMatch({ ...match, version: 'b1_6_tb3' }, clean, origin).pass, false);
+  assert.equal(GF.verifyMatch(match, [], origin).pass, false);
+  assert.throws(() => GF.verifyMatch({ ...match, version: 'nope' }, clean, origin), /Unknown hash formula "nope"/);
+});
+
+test('forward offsets read back as offset data that verifies and cracks', async () => {
+  const version = 'postb1_5';
+  const blocks = parseBlockListStrict([
+    '1200 64 -3400',
+    '1203 64 -3398 TALL_GRASS',
+    '1197 65 -3405 POINTED_DRIPSTONE',
+    '1201 63 -3401 PEBBLE',
+    '1206 64 -3395  7 7 7 SHORT_GRASS',
+    '1194 66 -3399',
+    '1199 64 -3392',
+    '1208 65 -3404',
+  ].join('\n'));
+  const fwd = GF.forwardOffsets(blocks, version);
+  // The Forward panel's output format.
+  const text = fwd.map(r => `${r.x} ${r.y} ${r.z}  ${r.off.x} ${r.off.y} ${r.off.z} ${r.kind}`).join('\n');
+  const parsed = parseGrassDataStrict(text);
+  assert.deepEqual(parsed.map(r => [r.bx, r.by, r.bz, r.ox, r.oy, r.oz, r.kind]),
+    fwd.map(r => [r.x, r.y, r.z, r.off.x, r.off.y, r.off.z, r.kind]));
+  // Unknown kinds become short grass; XZ-only foliage gets Y offset 15.
+  assert.equal(fwd[3].kind, 'SHORT_GRASS');
+  assert.equal(fwd[1].off.y, 15);
+
+  const rows = GF.rowsFromData(parsed);
+  const origin = rows[0].pos;
+  assert.equal(GF.verifyMatch({ ...origin, version }, rows, origin).pass, true);
+  const res = await GF.crack({ rows, centerX: 1200, centerZ: -3400, radius: 8, yMin: 64, yMax: 64, version });
+  assert.deepEqual(res.matches.map(m => [m.x, m.y, m.z]), [[1200, 64, -3400]]);
+
+  assert.throws(() => GF.forwardOffsets(blocks, 'nope'), /Unknown hash formula "nope"/);
+});
+
+test('forwardOffsetsAsync splits long block lists across the pool with the same result', async () => {
+  const blocks = Array.from({ length: 120000 }, (_, i) => ({ x: i - 60000, y: i % 200, z: (i * 7919) % 100000 - 50000, kind: (i % 3) ? 'SHORT_GRASS' : 'TALL_GRASS' }));
+  for (const version of ['post1_12', 'b1_6_tb3']) {
+    assert.deepEqual(await GF.forwardOffsetsAsync(blocks, version), GF.forwardOffsets(blocks, version), version);
+  }
+});
+
+test('the pool skips tiles that hold no block of the region', async () => {
+  const version = 'post1_12';
+  const { hidden, rows } = GF.syntheticDataset({ version, samples: 10, rand: GF.seededRandom(5) });
+  // A thin ring around a 4001-wide box: the box's middle tiles hold none of its blocks.
+  const region = { type: 'circle', centerX: hidden.x - 1950, centerZ: hidden.z, radius: 2000, innerRadius: 1900 };
+  const reports = [];
+  const res = await GF.crack({ rows, region, yMin: hidden.y, yMax: hidden.y, version, useWorkers: true, onProgress: p => reports.push(p) });
+  assert.equal(res.stats.engine, 'workers');
+  assert.ok(res.matches.some(m => m.x === hidden.x && m.z === hidden.z));
+
+  // Tiles as the pool lays them out for one Y layer: 512 x 512 blocks from the box's corner.
+  const reg = normalizeRegion(region);
+  const [[x0, x1, z0, z1]] = regionBoxes(reg);
+  const cols = Math.ceil((x1 - x0 + 1) / 512);
+  const used = new Set();
+  let cells = 0;
+  for (let z = z0; z <= z1; z++) {
+    const spans = regionSpans(reg, 'row', z);
+    for (let k = 0; k < spans.length; k += 2) {
+      cells += spans[k + 1] - spans[k] + 1;
+      for (let c = Math.floor((spans[k] - x0) / 512); c <= Math.floor((spans[k + 1] - x0) / 512); c++) {
+        used.add(Math.floor((z - z0) / 512) * cols + c);
+      }
+    }
+  }
+  assert.ok(used.size < cols * Math.ceil((z1 - z0 + 1) / 512));
+  // One progress report per tile a worker scanned, and together they cover the region.
+  assert.equal(reports.length, used.size);
+  assert.equal(reports.at(-1).done, cells);
+  assert.equal(res.stats.cells, cells);
+});
+
+// Runs the command line cracker on `input` (stdin).
+function cli(args, input = ''){
+  const r = spawnSync(process.execPath, [fileURLToPath(new URL('./grassfinder_cli.js', import.meta.url)), ...args], { input, encoding: 'utf8', timeout: 60000 });
+  return { code: r.status, out: r.stdout, err: r.stderr };
+}
+
+test('the command line cracker parses its options and exits 0, 1 or 2', () => {
+  const version = 'postb1_5';
+  const { hidden, rows } = GF.syntheticDataset({ version, samples: 10, rand: GF.seededRandom(6) });
+  const data = rows.map(r => `${r.pos.x} ${r.pos.y} ${r.pos.z}  ${r.packed & 15} ${(r.packed >> 4) & 15} ${(r.packed >> 8) & 15} ${r.kind}`).join('\n');
+  const around = ['--version', version, '--center', `${hidden.x},${hidden.z}`, '--radius', '8', '--y-min', String(hidden.y), '--y-max', String(hidden.y), '--quiet'];
+
+  const help = cli(['--help']);
+  assert.equal(help.code, 0);
+  assert.match(help.out, /^Usage: node grassfinder_cli\.js/);
+
+  // A match: its position on stdout, exit 0; on the pool and on the main thread.
+  for (const extra of [['--threads', '2'], ['--no-workers']]) {
+    const run = cli([...around, ...extra], data);
+    assert.equal(run.code, 0, run.err);
+    assert.equal(run.out, `${hidden.x} ${hidden.y} ${hidden.z}  likelihood=100.0%\n`);
+  }
+  const scored = cli([...around, '--no-workers', '--mode', 'scored', '--max-score', '0', '-'], data);
+  assert.equal(scored.out.split('\n')[0].split('  ')[0], `${hidden.x} ${hidden.y} ${hidden.z}`);
+  assert.match(scored.out, /score=0/);
+  const json = JSON.parse(cli([...around, '--no-workers', '--json'], data).out);
+  assert.deepEqual(json.matches.map(m => [m.x, m.y, m.z]), [[hidden.x, hidden.y, hidden.z]]);
+  assert.equal(json.settings.matchMode, 'strict');
+
+  // Nothing found: exit 1.
+  const none = cli([...around, '--no-workers', '--center', `${hidden.x + 100},${hidden.z}`], data);
+  assert.equal(none.code, 1);
+  assert.equal(none.out, '');
+
+  // Invalid options or data: a message and exit 2, before any scan.
+  for (const [args, message, input = data] of [
+    [['--colour', 'red'], /Unknown option '--colour'/],
+    [['--center', '5'], /--center must be "x,z"/],
+    [['--radius', 'wide'], /--radius must be a whole number/],
+    [['--solver', 'magic'], /Unknown solver "magic"/],
+    [['--order', 'random'], /Unknown order "random"/],
+    [['--version', 'nope'], /Unknown hash formula "nope"/],
+    [['--mode', 'fuzzy'], /Unknown match mode "fuzzy"/],
+    [['--max-results', '0'], /maxResults must be a whole number from 1 to 10000/],
+    [['--region', '{rect'], /--region is not valid JSON/],
+    [['a.txt', 'b.txt'], /Expected at most one data file/],
+    [[], /Offsets must be 0-15 on line 1/, '0 64 0  16 0 0'],
+    [[], /No grass data found/, ''],
+  ]) {
+    const run = cli(['--quiet', '--no-workers', ...args], input);
+    assert.equal(run.code, 2, `${args.join(' ')}: ${run.err}`);
+    assert.match(run.err, message);
+    assert.equal(run.out, '');
+  }
+});
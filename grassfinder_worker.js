@@ -1,28 +1,91 @@
-import init, { scan_strict_box, scan_scored_box } from "./wasm/pkg/grassfinder_wasm.js";
+import { prepareLattice, scanLatticeRoots, LATTICE_ROOTS } from "./grassfinder_lattice.js";
+import { normalizeRegion, regionBoxes, regionSpans, regionContains, clipSpans, spanCells, ringBoxes, ringCells, boxCells } from "./grassfinder_region.js";
+import { hashOffset, hashRows, hashParams } from "./grassfinder_hash.js";
 
-let ready = init();
-
-// --- b1.6-tb3 JS fallback ---
-// The shipped WASM implementation matches vanilla's XOR seed:
-//   l = (x*3129871) ^ (z*116129781) ^ y
-// b1.6-tb3 uses a different seed in RenderBlocks:
-//   l = (x*3129871 + z*6129781 + y)
+// Seed formula ids understood by the WASM scanners (SEED_XOR / SEED_ADD in lib.rs):
+//   XOR (vanilla):  l = (x*3129871) ^ (z*116129781) ^ y
+//   ADD (b1.6-tb3): l = (x*3129871 + z*6129781 + y)
 // Everything after that is identical.
-//
-// For the packed 12-bit offset, we only need bits 16..27 of the 64-bit long.
-// Those bits live in the low 32 bits, so we can compute this using 32-bit Math.imul.
-const X_MULT = 3_129_871 | 0;
-const Z_MULT_TB3 = 6_129_781 | 0;
-const LCG_MULT = 42_317_861 | 0;
-const LCG_ADDEND = 11 | 0;
+const SEED_XOR = 0;
+const SEED_ADD = 1;
+
+// --- WASM builds ---
+// wasm/pkg-simd is the same crate compiled with wasm simd128 (see wasm/build.sh): its strict
+// scanner checks 4 X candidates per iteration. It's used where the engine supports SIMD and the
+// build is present; wasm/pkg runs everywhere else.
+
+// Smallest module using a v128 instruction (i8x16.splat + i8x16.popcnt).
+const SIMD_PROBE = new Uint8Array([0,97,115,109,1,0,0,0,1,5,1,96,0,1,123,3,2,1,0,10,10,1,8,0,65,0,253,15,253,98,11]);
+
+// Scanner entry points of the loaded build (see loadWasm()).
+let wasmPkg = null;
+
+// Older builds of wasm/pkg predate the trailing `seed_formula` argument and only know XOR.
+// wasm-bindgen glue keeps the Rust parameter list, so the arity tells the builds apart.
+let wasmHasSeedFormula = false;
+
+// scan_outlier_box is newer still; without it the outlier mode runs on the JS scanner below.
+let wasmOutlierScan = null;
+
+// The *_hash scanners take any hash definition (hashParams() from grassfinder_hash.js).
+// Builds without them only run the built-in hashes through `seed_formula`.
+let wasmHashScan = null;
+
+// Hosts without fetch() for local files (the Node boot, grassfinder_node_worker.js) provide
+// GRASSFINDER_READ_WASM(url), which returns the .wasm file's bytes.
+async function loadPkg(dir){
+  const pkg = await import(`${dir}/grassfinder_wasm.js`);
+  const read = globalThis.GRASSFINDER_READ_WASM;
+  await pkg.default(read ? { module_or_path: read(new URL(`${dir}/grassfinder_wasm_bg.wasm`, import.meta.url)) } : undefined);
+  return pkg;
+}
+
+async function loadWasm(){
+  let pkg = null;
+  if (WebAssembly.validate(SIMD_PROBE)) {
+    try {
+      pkg = await loadPkg('./wasm/pkg-simd');
+      // A build without simd_lanes(), or compiled without simd128, is no faster.
+      if (!(pkg.simd_lanes?.() > 1)) pkg = null;
+    } catch (_) {
+      pkg = null;  // not built
+    }
+  }
+  pkg ??= await loadPkg('./wasm/pkg');
+
+  wasmPkg = pkg;
+  wasmHasSeedFormula = (pkg.scan_strict_box.length >= 15) && (pkg.scan_scored_box.length >= 17);
+  wasmOutlierScan = (typeof pkg.scan_outlier_box === 'function') ? pkg.scan_outlier_box : null;
+  wasmHashScan = (typeof pkg.scan_strict_box_hash === 'function') ? {
+    strict: pkg.scan_strict_box_hash,
+    scored: pkg.scan_scored_box_hash,
+    outliers: pkg.scan_outlier_box_hash,
+  } : null;
+}
 
-function packed_offset_12bit_tb3(x, y, z) {
-  let l = (Math.imul(x|0, X_MULT) + Math.imul(z|0, Z_MULT_TB3) + (y|0)) | 0;
-  const ll = Math.imul(l, l) | 0;
-  l = (Math.imul(ll, LCG_MULT) + Math.imul(l, LCG_ADDEND)) | 0;
-  return (l >>> 16) & 0xFFF;
+// Messages wait for this. If wasm/pkg fails to load as well, wasmPkg stays null and the worker
+// runs the JS scanners instead of stalling its jobs.
+const ready = loadWasm().catch((err) => {
+  console.warn('WASM scanners unavailable, using the JS scanners:', err);
+});
+// Tells the pool which build this worker runs, for its stats.
+ready.then(() => self.postMessage({ type: "ready", build: !wasmPkg ? "js" : (wasmPkg.simd_lanes?.() > 1) ? "wasm-simd" : "wasm" }));
+
+// Seed formula of the built-in WASM hash that computes `hash` (which ignores Y exactly when
+// scanning a single layer), or -1 if only the *_hash or JS scanners can run it.
+function builtinSeedFormula(hash, anyY){
+  if (hash.xMult !== 3_129_871 || hash.lcgMult !== 42_317_861 || hash.lcgAddend !== 11 || hash.shift !== 16) return -1;
+  if (hash.ignoreY !== anyY) return -1;
+  if (hash.combine === 'xor' && hash.zMult === 116_129_781) return SEED_XOR;
+  if (hash.combine === 'add' && hash.zMult === 6_129_781) return SEED_ADD;
+  return -1;
 }
 
+// --- JS fallbacks ---
+// Only used for hashes the WASM build can't run (custom hashes without the *_hash scanners,
+// b1.6-tb3 without the seed formula parameter) and outlier mode without scan_outlier_box.
+// Like the Rust scanners they walk each row with an X term stepping by xMult (see hashRows()).
+
 function axis_nibble_12(v, axis){
   return (v >>> (axis * 4)) & 15;
 }
@@ -43,29 +106,28 @@ function dripstone_nibble_distance(expected, predicted){
   return Math.abs(predicted - expected);
 }
 
-function scan_strict_box_tb3(
+function scan_strict_box_js(
   relDx, relDy, relDz,
   relPacked, relMask, relDrip,
   anyY,
   x0, x1, y0, y1, z0, z1,
   maxMatches,
+  hash,
 ){
   const n = relDx.length|0;
   const matches = [];
+  const rs = hashRows(hash, relDx, relDy, relDz);
+  const xMult = hash.xMult;
 
-  const yStart = anyY ? y0 : y0;
-  const yEnd   = anyY ? y0 : y1;
+  const yEnd = anyY ? y0 : y1;
 
-  for (let y = yStart; y <= yEnd; y++) {
+  for (let y = y0; y <= yEnd; y++) {
     for (let z = z0; z <= z1; z++) {
-      for (let x = x0; x <= x1; x++) {
+      rs.row(y, z);
+      for (let x = x0, xTerm = Math.imul(x0, xMult); x <= x1; x++, xTerm = (xTerm + xMult) | 0) {
         let ok = true;
         for (let i=0;i<n;i++) {
-          const ax = (x + relDx[i]) | 0;
-          const ay = (y + relDy[i]) | 0;
-          const az = (z + relDz[i]) | 0;
-
-          const pred = packed_offset_12bit_tb3(ax, ay, az) | 0;
+          const pred = rs.offset(i, xTerm);
           const mask = relMask[i] | 0;
           const exp  = relPacked[i] | 0;
 
@@ -97,7 +159,7 @@ function scan_strict_box_tb3(
   return matches;
 }
 
-function scan_scored_box_tb3(
+function scan_scored_box_js(
   relDx, relDy, relDz,
   relPacked, relMask, relDrip,
   anyY,
@@ -105,24 +167,24 @@ function scan_scored_box_tb3(
   maxMatches,
   tol,
   maxScore,
+  hash,
 ){
   const n = relDx.length|0;
   const matches = [];
   const tolI = tol|0;
   const maxS = maxScore|0;
+  const rs = hashRows(hash, relDx, relDy, relDz);
+  const xMult = hash.xMult;
 
-  const yStart = anyY ? y0 : y0;
-  const yEnd   = anyY ? y0 : y1;
+  const yEnd = anyY ? y0 : y1;
 
-  for (let y = yStart; y <= yEnd; y++) {
+  for (let y = y0; y <= yEnd; y++) {
     for (let z = z0; z <= z1; z++) {
-      for (let x = x0; x <= x1; x++) {
+      rs.row(y, z);
+      for (let x = x0, xTerm = Math.imul(x0, xMult); x <= x1; x++, xTerm = (xTerm + xMult) | 0) {
         let score = 0;
         for (let i=0;i<n;i++) {
-          const ax = (x + relDx[i]) | 0;
-          const ay = (y + relDy[i]) | 0;
-          const az = (z + relDz[i]) | 0;
-          const pred = packed_offset_12bit_tb3(ax, ay, az) | 0;
+          const pred = rs.offset(i, xTerm);
           const exp  = relPacked[i] | 0;
           const mask = relMask[i] | 0;
           const drip = (relDrip[i] | 0) !== 0;
@@ -149,95 +211,397 @@ function scan_scored_box_tb3(
   return matches;
 }
 
-self.onmessage = async (e) => {
-  await ready;
+// Outlier-tolerant scan: strict per sample, but up to maxOutliers samples may fail.
+// Same records as scan_outlier_box, as objects: {x, y, z, score: k, outliers: [sample index, ...]}.
+function scan_outlier_box_js(
+  relDx, relDy, relDz,
+  relPacked, relMask, relDrip,
+  anyY,
+  x0, x1, y0, y1, z0, z1,
+  maxMatches,
+  maxOutliers,
+  hash,
+){
+  const n = relDx.length|0;
+  const matches = [];
+  const rs = hashRows(hash, relDx, relDy, relDz);
+  const xMult = hash.xMult;
+  const yEnd = anyY ? y0 : y1;
+
+  for (let y = y0; y <= yEnd; y++) {
+    for (let z = z0; z <= z1; z++) {
+      rs.row(y, z);
+      for (let x = x0, xTerm = Math.imul(x0, xMult); x <= x1; x++, xTerm = (xTerm + xMult) | 0) {
+        const outliers = [];
+        for (let i=0;i<n;i++) {
+          const pred = rs.offset(i, xTerm);
+          const mask = relMask[i] | 0;
+          const exp  = relPacked[i] | 0;
+
+          let ok = true;
+          if ((relDrip[i] | 0) === 0) {
+            ok = (pred & mask) === exp;
+          } else {
+            for (let axis=0; axis<3 && ok; axis++) {
+              if (((mask >>> (axis*4)) & 15) === 0) continue;
+              const pn = axis_nibble_12(pred, axis);
+              const en = axis_nibble_12(exp, axis);
+              ok = (axis === 1) ? (pn === en) : dripstone_nibble_matches(en, pn);
+            }
+          }
+          if (!ok) {
+            outliers.push(i);
+            if (outliers.length > maxOutliers) break;
+          }
+        }
+        if (outliers.length > maxOutliers) continue;
+        matches.push({ x, y, z, score: outliers.length, outliers });
+        if (matches.length >= (maxMatches|0)) return matches;
+      }
+    }
+  }
+
+  return matches;
+}
+
+// Match list of one tile. Strict scans stop at maxMatches. Ranked modes (scored / outliers) keep
+// going: once the list reaches twice the cap it's cut back to the best maxMatches and the score
+// limit tightens to the worst one kept, so a tile that fills up early can't crowd out better
+// matches further on.
+function matchCollector(data, limit){
+  const cap = Math.max(1, data.maxMatches | 0);
+  const ranked = (data.mode === 'scored' || data.mode === 'outliers');
+  // Same tie order as the final sort in grassfinder.js (spiral jobs rank nearer rings first).
+  const { tiling } = data;
+  const ring = (m) => (tiling.kind === 'spiral') ? Math.max(Math.abs(m.x - tiling.centerX), Math.abs(m.z - tiling.centerZ)) : 0;
+  const byRank = (a, b) => (a.score - b.score) || (ring(a) - ring(b)) || (a.x - b.x) || (a.z - b.z) || (a.y - b.y);
+
+  const col = {
+    matches: [],
+    truncated: false,
+    // Score limit for the next scans (undefined = the job's maxScore / maxOutliers).
+    limit,
+    // Engines that ran the scans ('wasm', 'js'), reported with the tile.
+    scanners: new Set(),
+  };
+  const room = () => (ranked ? 2 * cap : cap) - col.matches.length;
+
+  function prune(){
+    col.matches.sort(byRank);
+    col.matches.length = cap;
+    col.limit = col.matches[cap - 1].score;
+    col.truncated = true;
+  }
+
+  // Scan one box with every hash of the job (several in auto mode); true when a strict scan
+  // hit the cap and has to stop. A ranked scan that fills the room stopped early, so it's pruned
+  // and the rest of the box (after the last match; scanners walk y, then z, then x) is scanned again.
+  col.scan = (bx0, bx1, bz0, bz1) => {
+    for (const hash of data.hashes) {
+      const anyY = !!data.post1_12_anyY || hash.ignoreY;
+      const pending = [[bx0, bx1, data.y0, anyY ? data.y0 : data.y1, bz0, bz1]];
+      while (pending.length) {
+        const box = pending.pop();
+        const [x0, x1, y0, y1, z0, z1] = box;
+        const r = room();
+        const before = col.matches.length;
+        col.scanners.add(scanBoxInto(col.matches, data, hash, box, r, col.limit));
+        if (col.matches.length - before < r) continue;
+        if (!ranked) return true;
+
+        const last = col.matches[col.matches.length - 1];
+        prune();
+        if (last.y < y1) pending.push([x0, x1, last.y + 1, y1, z0, z1]);
+        if (last.z < z1) pending.push([x0, x1, last.y, last.y, last.z + 1, z1]);
+        if (last.x < x1) pending.push([last.x + 1, x1, last.y, last.y, last.z, last.z]);
+      }
+    }
+    return false;
+  };
+  return col;
+}
 
+// Scan box [x0, x1, y0, y1, z0, z1] with one hash definition on whichever engine can run it,
+// appending matches tagged with the hash id. `limit` overrides the job's maxScore / maxOutliers.
+// Returns the engine that ran it, 'wasm' or 'js'.
+function scanBoxInto(matches, data, hash, box, remaining, limit){
+  const [bx0, bx1, y0, y1, bz0, bz1] = box;
+  const start = matches.length;
   const {
-    jobId,
-    x0, x1,
-    z0, z1,
-    y0, y1,
-    version,
     relDx, relDy, relDz,
     relPacked, relMask, relDrip,
-    maxMatches,
     post1_12_anyY,
     mode,
     tol,
-    maxScore
-  } = e.data;
+    maxScore,
+    maxOutliers,
+    relIds,
+  } = data;
+
+  const anyY = !!post1_12_anyY || hash.ignoreY;
+  // Engine: the *_hash scanners, else the built-in WASM hash (seedFormula >= 0), else JS.
+  // `engine: 'js'` (the self-test) forces the JS scanners, as does a worker without WASM.
+  const jsOnly = (data.engine === 'js') || !wasmPkg;
+  let seedFormula = wasmHashScan ? -1 : builtinSeedFormula(hash, anyY);
+  if (seedFormula === SEED_ADD && !wasmHasSeedFormula) seedFormula = -1;
+  const useWasm = !jsOnly && (!!wasmHashScan || seedFormula >= 0);
+  // Last argument of the WASM scanners.
+  const hashArg = wasmHashScan ? hashParams(hash) : seedFormula;
+  const scoreLimit = (limit ?? maxScore) | 0;
+  let engine = useWasm ? 'wasm' : 'js';
+
+  if (mode === "outliers") {
+    // Outliers are reported as sample ids (relIds), not rel indices.
+    const k = Math.max(0, (limit ?? maxOutliers) | 0);
+    const toIds = (idx) => idx.map(i => relIds ? relIds[i] : i).sort((a, b) => a - b);
+    const scan = !useWasm ? null : wasmHashScan ? wasmHashScan.outliers : wasmOutlierScan;
+    if (scan) {
+      const arr = scan(
+        relDx, relDy, relDz,
+        relPacked, relMask, relDrip,
+        anyY,
+        bx0, bx1, y0, y1, bz0, bz1,
+        remaining,
+        k,
+        hashArg
+      );
+      for (let i = 0; i < arr.length; ) {
+        const n = arr[i + 3];
+        matches.push({ x: arr[i], y: arr[i + 1], z: arr[i + 2], score: n, outliers: toIds(Array.from(arr.subarray(i + 4, i + 4 + n))) });
+        i += 4 + n;
+      }
+    } else {
+      engine = 'js';
+      const sub = scan_outlier_box_js(relDx, relDy, relDz, relPacked, relMask, relDrip, anyY, bx0, bx1, y0, y1, bz0, bz1, remaining, k, hash);
+      for (const m of sub) { m.outliers = toIds(m.outliers); matches.push(m); }
+    }
+  } else if (!useWasm) {
+    const sub = (mode === 'scored')
+      ? scan_scored_box_js(relDx, relDy, relDz, relPacked, relMask, relDrip, anyY, bx0, bx1, y0, y1, bz0, bz1, remaining, tol|0, scoreLimit, hash)
+      : scan_strict_box_js(relDx, relDy, relDz, relPacked, relMask, relDrip, anyY, bx0, bx1, y0, y1, bz0, bz1, remaining, hash);
+
+    for (const m of sub) matches.push(m);
+  } else if (mode === "scored") {
+    const arr = (wasmHashScan ? wasmHashScan.scored : wasmPkg.scan_scored_box)(
+      relDx, relDy, relDz,
+      relPacked, relMask, relDrip,
+      anyY,
+      bx0, bx1, y0, y1, bz0, bz1,
+      remaining,
+      tol | 0,
+      scoreLimit,
+      hashArg
+    );
+
+    for (let i = 0; i < arr.length; i += 4) {
+      matches.push({ x: arr[i], y: arr[i + 1], z: arr[i + 2], score: arr[i + 3] });
+    }
+  } else {
+    const arr = (wasmHashScan ? wasmHashScan.strict : wasmPkg.scan_strict_box)(
+      relDx, relDy, relDz,
+      relPacked, relMask, relDrip,
+      anyY,
+      bx0, bx1, y0, y1, bz0, bz1,
+      remaining,
+      hashArg
+    );
+
+    for (let i = 0; i < arr.length; i += 3) {
+      matches.push({ x: arr[i], y: arr[i + 1], z: arr[i + 2] });
+    }
+  }
+
+  for (let i = start; i < matches.length; i++) matches[i].version = hash.id;
+  return engine;
+}
 
-  const post1_12 = (version === "post1_12");
-  const anyY = !!post1_12_anyY || post1_12;
+// --- Jobs and tiles ---
+// The pool (grassfinder_pool.js) sends each job once ({type: "job"}), then tiles of it: granted
+// by message, or taken from the job's shared queue after {type: "claim"}. Tile ids index the
+// job's `tiling` (built by scanCrack() in grassfinder.js):
+//   box      tile = first + tx + tz * cols in the grid (one per box of the search area) whose
+//            ids start at `first`: columns x0 + tx*w .. +w-1, rows z0 + tz*h .. +h-1 of the grid
+//   spiral   tile t = rings rings[t] .. rings[t+1]-1 around (centerX, centerZ)
+//   lattice  tile = chunk + layer * chunks: roots chunk*size .. +size-1 of Y layer y0 + layer
+// Progress is counted in blocks, or roots for the lattice solver (one root covers the whole
+// X/Z range).
+const jobs = new Map();
+
+function defineJob(msg){
+  const job = { ...msg, region: msg.region ? normalizeRegion(msg.region) : null, boxes: null, lattice: null };
+  job.boxes = job.region ? regionBoxes(job.region) : [[job.x0, job.x1, job.z0, job.z1]];
+  if (msg.tiling.kind === 'lattice') {
+    // Throws for datasets the lattice can't use; reported with the job's first tile.
+    try {
+      job.lattice = prepareLattice({ ...msg, hash: msg.hashes[0], anyY: !!msg.post1_12_anyY });
+    } catch (err) {
+      job.error = String(err?.message || err);
+    }
+  }
+  jobs.set(msg.jobId, job);
+}
 
-  // b1.6-tb3 is the only supported mode that the shipped WASM doesn't implement.
-  const isTb3 = (version === 'b1_6_tb3');
+// Rows of one box tile, consecutive rows with the same region spans scanned as one box per span.
+function scanBoxTile(col, job, bx0, bx1, bz0, bz1, yCount){
+  const rowSpans = (z) => job.region ? clipSpans(regionSpans(job.region, 'row', z), bx0, bx1) : [bx0, bx1];
+  const sameSpans = (a, b) => a.length === b.length && a.every((v, k) => v === b[k]);
+  let cells = 0;
+  let z = bz0;
+  let spans = rowSpans(z);
+  while (z <= bz1) {
+    let ze = z;
+    let next = (z < bz1) ? rowSpans(z + 1) : null;
+    while (next && sameSpans(next, spans)) {
+      ze++;
+      next = (ze < bz1) ? rowSpans(ze + 1) : null;
+    }
+    for (let k = 0; k < spans.length; k += 2) {
+      if (col.scan(spans[k], spans[k + 1], z, ze)) return { cells, hitCap: true };
+    }
+    cells += (ze - z + 1) * spanCells(spans) * yCount;
+    z = ze + 1;
+    spans = next;
+  }
+  return { cells, hitCap: false };
+}
 
-  const xCount = (x1 - x0 + 1);
-  const zCount = (z1 - z0 + 1);
-  const yCount = anyY ? 1 : (y1 - y0 + 1);
-  const total = xCount * zCount * yCount;
+function scanSpiralTile(col, job, t, yCount){
+  const { tiling, x0, x1, z0, z1 } = job;
+  let cells = 0;
+  for (let r = tiling.rings[t]; r < tiling.rings[t + 1]; r++) {
+    // Rings between far-apart shapes hold nothing.
+    if (!ringCells(tiling.centerX, tiling.centerZ, r, job.boxes)) continue;
+    for (const b of ringBoxes(tiling.centerX, tiling.centerZ, r, x0, x1, z0, z1, job.region)) {
+      if (col.scan(b[0], b[1], b[2], b[3])) return { cells, hitCap: true };
+      cells += boxCells(b) * yCount;
+    }
+  }
+  return { cells, hitCap: false };
+}
 
-  let done = 0;
-  const matches = [];
+function scanLatticeTile(matches, job, t){
+  const { tiling, x0, x1, z0, z1 } = job;
+  if (job.error) throw new Error(job.error);
+  const y = job.y0 + Math.floor(t / tiling.chunks);
+  const rs = (t % tiling.chunks) * tiling.size;
+  const re = Math.min(LATTICE_ROOTS, rs + tiling.size);
+  const bounds = { x0, x1, z0, z1, contains: job.region ? (x, z) => regionContains(job.region, x, z) : null };
+  const hitCap = scanLatticeRoots(job.lattice, bounds, y, rs, re, matches, job.maxMatches | 0);
+  return { cells: re - rs, hitCap };
+}
 
-  // Chunk by Z so we can emit progress periodically (similar feel to the JS worker)
-  const emitEvery = 250000;
-  const zChunk = Math.max(1, Math.floor(emitEvery / (xCount * yCount)));
+// Scans tile `t` and posts its matches. `limit` is the pool's current score limit (< 0: none).
+function runTile(job, t, limit){
+  const { tiling } = job;
+  const yCount = job.post1_12_anyY ? 1 : (job.y1 - job.y0 + 1);
+  const col = matchCollector(job, (limit >= 0) ? limit : undefined);
+  let res;
+  if (tiling.kind === 'lattice') {
+    res = scanLatticeTile(col.matches, job, t);
+  } else if (tiling.kind === 'spiral') {
+    res = scanSpiralTile(col, job, t, yCount);
+  } else {
+    let g = tiling.grids.length - 1;
+    while (tiling.grids[g].first > t) g--;
+    const grid = tiling.grids[g];
+    const tx = (t - grid.first) % grid.cols;
+    const tz = Math.floor((t - grid.first) / grid.cols);
+    const bx0 = grid.x0 + tx * grid.w;
+    const bz0 = grid.z0 + tz * grid.h;
+    res = scanBoxTile(col, job, bx0, Math.min(grid.x1, bx0 + grid.w - 1), bz0, Math.min(grid.z1, bz0 + grid.h - 1), yCount);
+  }
+  self.postMessage({ jobId: job.jobId, type: "tile", tile: t, cells: res.cells, matches: col.matches, hitCap: res.hitCap || col.truncated, scanners: [...col.scanners] });
+}
 
-  for (let zs = z0; zs <= z1; zs += zChunk) {
-    const ze = Math.min(z1, zs + zChunk - 1);
+// Yields to the event loop between tiles, so grants and tasks get through. A MessageChannel
+// round trip isn't clamped like setTimeout (1 ms in Node, 4 ms for nested browser timers).
+const tickChannel = new MessageChannel();
+const tickWaiters = [];
+tickChannel.port1.onmessage = () => tickWaiters.shift()?.();
+function tick(){
+  return new Promise(resolve => {
+    tickWaiters.push(resolve);
+    tickChannel.port2.postMessage(0);
+  });
+}
 
-    const remaining = Math.max(0, (maxMatches | 0) - matches.length);
-    if (remaining === 0) {
-      self.postMessage({ jobId, type: "done", done, total, matches, hitCap: true });
+// Shared queue: take tiles until the job runs out, pauses or stops (queue[1] != 0).
+async function claimTiles(job){
+  const q = job.queue;
+  while (Atomics.load(q, 1) === 0) {
+    const i = Atomics.add(q, 0, 1);
+    if (i >= job.order.length) break;
+    try {
+      runTile(job, job.order[i], Atomics.load(q, 2));
+    } catch (err) {
+      self.postMessage({ jobId: job.jobId, type: "error", message: String(err?.message || err) });
       return;
     }
+    await tick();
+  }
+  self.postMessage({ jobId: job.jobId, type: "idle" });
+}
 
-    if (isTb3) {
-      // JS fallback (tb3 seed)
-      const sub = (mode === 'scored')
-        ? scan_scored_box_tb3(relDx, relDy, relDz, relPacked, relMask, relDrip, anyY, x0, x1, y0, y1, zs, ze, remaining, tol|0, maxScore|0)
-        : scan_strict_box_tb3(relDx, relDy, relDz, relPacked, relMask, relDrip, anyY, x0, x1, y0, y1, zs, ze, remaining);
-
-      for (const m of sub) matches.push(m);
-    } else if (mode === "scored") {
-      const arr = scan_scored_box(
-        relDx, relDy, relDz,
-        relPacked, relMask, relDrip,
-        anyY,
-        x0, x1, y0, y1, zs, ze,
-        remaining,
-        tol | 0,
-        maxScore | 0
-      );
-
-      for (let i = 0; i < arr.length; i += 4) {
-        matches.push({ x: arr[i], y: arr[i + 1], z: arr[i + 2], score: arr[i + 3] });
+// Granted tiles, in order: {job, tile}.
+const granted = [];
+let draining = false;
+
+async function drainGranted(){
+  if (draining) return;
+  draining = true;
+  while (granted.length) {
+    const { job, tile } = granted.shift();
+    try {
+      runTile(job, tile, job.limit);
+    } catch (err) {
+      self.postMessage({ jobId: job.jobId, type: "error", message: String(err?.message || err) });
+      for (let i = granted.length - 1; i >= 0; i--) {
+        if (granted[i].job === job) granted.splice(i, 1);
       }
-    } else {
-      const arr = scan_strict_box(
-        relDx, relDy, relDz,
-        relPacked, relMask, relDrip,
-        anyY,
-        x0, x1, y0, y1, zs, ze,
-        remaining
-      );
+    }
+    await tick();
+  }
+  draining = false;
+}
 
-      for (let i = 0; i < arr.length; i += 3) {
-        matches.push({ x: arr[i], y: arr[i + 1], z: arr[i + 2] });
-      }
+// --- Tasks ---
+// One-off computations for the pool's task(), answered with {taskId, type: "result", ...}.
+const TASKS = {
+  // Packed offsets of `positions` ([x, y, z, x, y, z, ...]) under the hash definition `hash`.
+  offsets({ hash, positions }){
+    const offsets = new Uint16Array(positions.length / 3);
+    for (let i = 0; i < offsets.length; i++) {
+      offsets[i] = hashOffset(positions[3 * i], positions[3 * i + 1], positions[3 * i + 2], hash);
     }
+    return [{ offsets }, [offsets.buffer]];
+  },
+};
 
-    done += xCount * (ze - zs + 1) * yCount;
+self.onmessage = async (e) => {
+  const msg = e.data;
+  await ready;
 
-    if (matches.length >= (maxMatches | 0)) {
-      self.postMessage({ jobId, type: "done", done, total, matches, hitCap: true });
-      return;
+  if (msg?.type === 'job') {
+    defineJob(msg);
+  } else if (msg?.type === 'release') {
+    jobs.delete(msg.jobId);
+  } else if (msg?.type === 'claim') {
+    const job = jobs.get(msg.jobId);
+    if (job) claimTiles(job);
+  } else if (msg?.type === 'tiles') {
+    const job = jobs.get(msg.jobId);
+    if (!job) return;
+    job.limit = msg.limit;
+    for (const tile of msg.tiles) granted.push({ job, tile });
+    drainGranted();
+  } else if (msg?.type === 'task') {
+    try {
+      const run = TASKS[msg.task];
+      if (!run) throw new Error(`Unknown worker task "${msg.task}".`);
+      const [result, transfer] = run(msg);
+      self.postMessage({ ...result, taskId: msg.taskId, type: "result" }, transfer);
+    } catch (err) {
+      self.postMessage({ taskId: msg.taskId, type: "error", message: String(err?.message || err) });
     }
-
-    self.postMessage({ jobId, type: "progress", done, total, matchesCount: matches.length });
   }
-
-  self.postMessage({ jobId, type: "done", done, total, matches, hitCap: false });
 };
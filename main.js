@@ -1,4 +1,7 @@
 import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import { BUILTIN_HASHES } from './grassfinder_hash.js';
+import * as GF from './grassfinder.js';
+import { FOLIAGE, isYOffsetLocked, isPointedDripstone, parseGrassDataStrict, parseBlockListStrict } from './grassfinder_data.js';
 
 const foliageMatCache = new Map();
 const blockCubeMatCache = new Map();
@@ -539,6 +542,10 @@ let originMarker = null;
 let grassGroup = new THREE.Group();
 scene.add(grassGroup);
 
+// Ghost foliage predicted around a crack match (see "Predicted field"); never part of the dataset.
+const predictedFieldGroup = new THREE.Group();
+scene.add(predictedFieldGroup);
+
 // origin marker
 {
 const geo = new THREE.BufferGeometry();
@@ -615,6 +622,9 @@ const el = {
   selBlockZ: document.getElementById('selBlockZ'),
 
   grassList: document.getElementById('grassList'),
+  infoMeter: document.getElementById('infoMeter'),
+  infoMeterFill: document.getElementById('infoMeterFill'),
+  infoMeterText: document.getElementById('infoMeterText'),
   foliageSelect: document.getElementById('foliageSelect'),
   bambooUvControls: document.getElementById('bambooUvControls'),
   bambooUvU: document.getElementById('bambooUvU'),
@@ -644,6 +654,7 @@ const el = {
   loadGrassData: document.getElementById('loadGrassData'),
   crackCoords: document.getElementById('crackCoords'),
   crackOut: document.getElementById('crackOut'),
+  crackInfoWarn: document.getElementById('crackInfoWarn'),
   crackMatchSelect: document.getElementById('crackMatchSelect'),
   crackTpTarget: document.getElementById('crackTpTarget'),
   crackTpIncludeY: document.getElementById('crackTpIncludeY'),
@@ -653,17 +664,71 @@ const el = {
   crackApplyCamShift: document.getElementById('crackApplyCamShift'),
   crackTpOut: document.getElementById('crackTpOut'),
   crackTpMsg: document.getElementById('crackTpMsg'),
+  batchName: document.getElementById('batchName'),
+  batchFromEditor: document.getElementById('batchFromEditor'),
+  batchAdd: document.getElementById('batchAdd'),
+  batchData: document.getElementById('batchData'),
+  batchMode: document.getElementById('batchMode'),
+  batchRun: document.getElementById('batchRun'),
+  batchCancel: document.getElementById('batchCancel'),
+  batchClear: document.getElementById('batchClear'),
+  batchMsg: document.getElementById('batchMsg'),
+  batchTable: document.getElementById('batchTable'),
+  batchRows: document.getElementById('batchRows'),
+  crackVerifyData: document.getElementById('crackVerifyData'),
+  crackVerifyFromEditor: document.getElementById('crackVerifyFromEditor'),
+  crackVerifyRun: document.getElementById('crackVerifyRun'),
+  crackVerifyMsg: document.getElementById('crackVerifyMsg'),
+  crackVerifyOut: document.getElementById('crackVerifyOut'),
+  crackFieldKind: document.getElementById('crackFieldKind'),
+  selfTestSamples: document.getElementById('selfTestSamples'),
+  selfTestNoise: document.getElementById('selfTestNoise'),
+  selfTestSeed: document.getElementById('selfTestSeed'),
+  selfTestLattice: document.getElementById('selfTestLattice'),
+  selfTestRun: document.getElementById('selfTestRun'),
+  selfTestMsg: document.getElementById('selfTestMsg'),
+  selfTestOut: document.getElementById('selfTestOut'),
+  forwardIn: document.getElementById('forwardIn'),
+  forwardRun: document.getElementById('forwardRun'),
+  forwardUse: document.getElementById('forwardUse'),
+  forwardMsg: document.getElementById('forwardMsg'),
+  forwardOut: document.getElementById('forwardOut'),
+  crackFieldRadius: document.getElementById('crackFieldRadius'),
+  crackFieldY: document.getElementById('crackFieldY'),
+  crackFieldShow: document.getElementById('crackFieldShow'),
+  crackFieldClear: document.getElementById('crackFieldClear'),
+  crackFieldMsg: document.getElementById('crackFieldMsg'),
   crackCenterX: document.getElementById('crackCenterX'),
   crackCenterZ: document.getElementById('crackCenterZ'),
   crackRadius: document.getElementById('crackRadius'),
   crackYMin: document.getElementById('crackYMin'),
   crackYMax: document.getElementById('crackYMax'),
   crackVersion: document.getElementById('crackVersion'),
+  crackHashJson: document.getElementById('crackHashJson'),
+  crackHashAdd: document.getElementById('crackHashAdd'),
+  crackHashRemove: document.getElementById('crackHashRemove'),
+  crackHashMsg: document.getElementById('crackHashMsg'),
+  crackSolver: document.getElementById('crackSolver'),
+  crackOrder: document.getElementById('crackOrder'),
+  crackStopAfter: document.getElementById('crackStopAfter'),
+  crackRegionMode: document.getElementById('crackRegionMode'),
+  crackRegion: document.getElementById('crackRegion'),
   matchMode: document.getElementById('matchMode'),
   tolerance: document.getElementById('tolerance'),
+  crackOutliersRow: document.getElementById('crackOutliersRow'),
+  crackMaxOutliers: document.getElementById('crackMaxOutliers'),
+  crackMaxScore: document.getElementById('crackMaxScore'),
+  crackMaxResults: document.getElementById('crackMaxResults'),
+  crackMaxMatches: document.getElementById('crackMaxMatches'),
   tolVal: document.getElementById('tolVal'),
   warn: document.getElementById('warn'),
   crackStatus: document.getElementById('crackStatus'),
+  crackRate: document.getElementById('crackRate'),
+  crackSparkLine: document.getElementById('crackSparkLine'),
+  crackRateText: document.getElementById('crackRateText'),
+  crackPause: document.getElementById('crackPause'),
+  crackCancel: document.getElementById('crackCancel'),
+  crackResume: document.getElementById('crackResume'),
   crackWorkers: document.getElementById('crackWorkers'),
   clearGrass: document.getElementById('clearGrass'),
 };
@@ -807,14 +872,18 @@ const warnEl = el.warn;
 const toleranceRowEl = (toleranceEl && toleranceEl.closest) ? toleranceEl.closest('label.row') : null;
 
 function updateCrackerModeUI() {
-  const isStrict = (matchModeEl?.value === 'strict');
+  const isScored = (matchModeEl?.value === 'scored');
 
-  // Strict mode ignores tolerance, so disable the slider to avoid confusion.
-  if (toleranceEl) toleranceEl.disabled = isStrict;
-  if (toleranceRowEl) toleranceRowEl.classList.toggle('is-disabled', isStrict);
+  // Only scored mode uses the tolerance, so disable the slider otherwise to avoid confusion.
+  if (toleranceEl) toleranceEl.disabled = !isScored;
+  if (toleranceRowEl) toleranceRowEl.classList.toggle('is-disabled', !isScored);
+  if (el.crackMaxScore) el.crackMaxScore.disabled = !isScored;
 
   // Scored-mode warning.
-  if (warnEl) warnEl.classList.toggle('hidden', isStrict);
+  if (warnEl) warnEl.classList.toggle('hidden', !isScored);
+
+  // Outlier mode: number of samples allowed to fail.
+  el.crackOutliersRow?.classList.toggle('hidden', matchModeEl?.value !== 'outliers');
 }
 
 if (toleranceEl && tolValEl) {
@@ -2656,93 +2725,6 @@ function ensureCubeModelRegistered(token, topRotSteps = 0){
 }
 
 
-// --- Foliage catalog ---
-// Each foliage type has:
-//  - id: stable export/import token
-//  - label: UI label
-//  - offsetType: 'XYZ' (x/y/z) or 'XZ' (x/z only; y is unobservable in-game)
-//  - model: 'single' (one-block cross), or 'double' (two-block style preview)
-const FOLIAGE = {
-  groups: [
-    {
-      label: 'grass',
-      items: [
-        { id: 'SHORT_GRASS', label: 'short grass', offsetType: 'XYZ', model: 'single' },
-        { id: 'TALL_GRASS', label: 'tall grass', offsetType: 'XZ', model: 'double' },
-        { id: 'FERN', label: 'fern', offsetType: 'XYZ', model: 'single' },
-        { id: 'LARGE_FERN', label: 'large fern', offsetType: 'XZ', model: 'double' },
-
-        { id: 'SHORT_DRY_GRASS', label: 'short dry grass', offsetType: 'XYZ', model: 'single' },
-        { id: 'TALL_DRY_GRASS', label: 'tall dry grass', offsetType: 'XYZ', model: 'single' },
-
-        { id: 'SMALL_DRIPLEAF', label: 'small dripleaf', offsetType: 'XYZ', model: 'single' },
-
-        { id: 'CRIMSON_ROOTS', label: 'crimson roots', offsetType: 'XZ', model: 'single' },
-        { id: 'WARPED_ROOTS', label: 'warped roots', offsetType: 'XZ', model: 'single' },
-        { id: 'NETHER_SPROUTS', label: 'warped sprouts', offsetType: 'XZ', model: 'single' },
-
-        { id: 'TALL_SEAGRASS', label: 'tall seagrass', offsetType: 'XZ', model: 'double' },
-      ],
-    },
-    {
-      label: 'flowers',
-      items: [
-        { id: 'DANDELION', label: 'dandelion', offsetType: 'XZ', model: 'single' },
-        { id: 'TORCHFLOWER', label: 'torchflower', offsetType: 'XZ', model: 'single' },
-        { id: 'POPPY', label: 'poppy', offsetType: 'XZ', model: 'single' },
-        { id: 'BLUE_ORCHID', label: 'blue orchid', offsetType: 'XZ', model: 'single' },
-        { id: 'ALLIUM', label: 'allium', offsetType: 'XZ', model: 'single' },
-        { id: 'AZURE_BLUET', label: 'azure bluet', offsetType: 'XZ', model: 'single' },
-
-        { id: 'RED_TULIP', label: 'red tulip', offsetType: 'XZ', model: 'single' },
-        { id: 'ORANGE_TULIP', label: 'orange tulip', offsetType: 'XZ', model: 'single' },
-        { id: 'WHITE_TULIP', label: 'white tulip', offsetType: 'XZ', model: 'single' },
-        { id: 'PINK_TULIP', label: 'pink tulip', offsetType: 'XZ', model: 'single' },
-
-        { id: 'OXEYE_DAISY', label: 'oxeye daisy', offsetType: 'XZ', model: 'single' },
-        { id: 'CORNFLOWER', label: 'cornflower', offsetType: 'XZ', model: 'single' },
-        { id: 'WITHER_ROSE', label: 'wither rose', offsetType: 'XZ', model: 'single' },
-        { id: 'LILY_OF_THE_VALLEY', label: 'lily of the valley', offsetType: 'XZ', model: 'single' },
-
-        { id: 'SUNFLOWER', label: 'sunflower', offsetType: 'XZ', model: 'double' },
-        { id: 'LILAC', label: 'lilac', offsetType: 'XZ', model: 'double' },
-        { id: 'ROSE_BUSH', label: 'rose bush', offsetType: 'XZ', model: 'double' },
-        { id: 'PEONY', label: 'peony', offsetType: 'XZ', model: 'double' },
-
-        { id: 'PITCHER_PLANT', label: 'pitcher plant', offsetType: 'XZ', model: 'double' },
-
-        { id: 'OPEN_EYEBLOSSOM', label: 'eyeblossom (open)', offsetType: 'XZ', model: 'single' },
-        { id: 'CLOSED_EYEBLOSSOM', label: 'eyeblossom (closed)', offsetType: 'XZ', model: 'single' },
-      ],
-    },
-    {
-      label: 'misc',
-      items: [
-        { id: 'CUBE', label: 'cube (for visuals only)', offsetType: 'XZ', model: 'single' },
-        { id: 'HANGING_ROOTS', label: 'hanging roots', offsetType: 'XZ', model: 'single' },
-        { id: 'MANGROVE_PROPAGULE', label: 'mangrove propagule', offsetType: 'XZ', model: 'single' },
-        { id: 'BAMBOO_SAPLING', label: 'bamboo sapling', offsetType: 'XZ', model: 'single' },
-        { id: 'BAMBOO', label: 'bamboo', offsetType: 'XZ', model: 'single' },
-        { id: 'POINTED_DRIPSTONE', label: 'pointed dripstone', offsetType: 'XZ', model: 'single' },
-      ],
-    },
-  ],
-  byId: new Map(),
-};
-
-for (const g of FOLIAGE.groups) {
-  for (const it of g.items) FOLIAGE.byId.set(it.id, it);
-}
-
-function foliageMaskFor(offsetType){
-  return (offsetType === 'XZ') ? 0xF0F : 0xFFF;
-}
-
-function isYOffsetLocked(foliageId){
-  const def = FOLIAGE.byId.get(foliageId);
-  return (def?.offsetType === 'XZ');
-}
-
 // Current placement foliage. Defaults to short grass.
 let activeFoliageId = 'SHORT_GRASS';
 
@@ -2773,7 +2755,6 @@ function clampInt(v, a, b){
     This collapses indices 0-3 and 12-15 into identical final positions.
     We expose a 10-step *effective* selector (0..9) to avoid fake precision. */
 const DRIPSTONE_EFF_TO_RAW = [0,4,5,6,7,8,9,10,11,15]; // representatives
-function isPointedDripstone(id){ return String(id || '') === 'POINTED_DRIPSTONE'; }
 function dripstoneRawToEff(i){
   const n = clampInt(i, 0, 15);
   if (n <= 3) return 0;
@@ -4949,6 +4930,7 @@ function refreshGrassList(){
     el.grassList.appendChild(opt);
   }
   if (prev != null && grasses.has(prev)) setSelected(prev);
+  scheduleInfoMeterUpdate();
 }
 
 function addGrass(block, off = {x:7,y:7,z:7}, foliageId = activeFoliageId){
@@ -5169,13 +5151,14 @@ el.grassList.addEventListener('change', () => {
   if (Number.isFinite(id) && grasses.has(id)) setSelected(id);
 });
 
-el.exportOffsets.addEventListener('click', () => {
+// Placed samples in the offset data format, one line each.
+function exportOffsetLines(){
   // The "cube" entry is a visual reference block (it has no vanilla random render offset).
   // Do not include it in exported offset datasets.
   const ordered = [...grasses.values()]
     .filter(g => String(g?.kind || '') !== 'CUBE')
     .sort((a,b)=>a.id-b.id);
-  const lines = ordered.map(g => {
+  return ordered.map(g => {
     const b = g.block;
     const o = g.off;
     const oy = isYOffsetLocked(g.kind) ? 15 : o.y;
@@ -5185,7 +5168,10 @@ el.exportOffsets.addEventListener('click', () => {
     if (g.kind === 'CUBE') extra = ` ${String(g.cubeType || 'GRASS_BLOCK').toUpperCase()}`;
     return `${b.x} ${b.y} ${b.z}  ${o.x} ${oy} ${o.z} ${g.kind}${extra}`;
   });
-  el.exportBox.value = lines.join('\n');
+}
+
+el.exportOffsets.addEventListener('click', () => {
+  el.exportBox.value = exportOffsetLines().join('\n');
   el.exportBox.focus();
   el.exportBox.select();
 });
@@ -5193,96 +5179,66 @@ el.exportOffsets.addEventListener('click', () => {
 
 
 
-function parseGrassDataStrict(text){
-  const lines = String(text || '').split(/\r?\n/);
-  const rows = [];
-
-  for (let i = 0; i < lines.length; i++){
-    // Accept ANY whitespace-separated columns (spaces/tabs), including fixed-width padded columns.
-    // Format:
-	    //   blockX blockY blockZ  offX offY offZ  [TYPE] [variant]
-	    // TYPE is optional and defaults to SHORT_GRASS.
-    let raw = String(lines[i] || '').trim();
-    if (!raw) continue;
-
-    // Allow end-of-line comments (handy for notes while pasting data).
-    raw = raw.replace(/\s*(?:#|\/\/).*$/, '').trim();
-    if (!raw) continue;
-
-    // Tokenize by whitespace (handles "lots of spaces" and tabs).
-    const parts = raw.split(/\s+/);
-    if (parts.length < 6){
-	      throw new Error(`Invalid format on line ${i+1}. Expected: blockX blockY blockZ offX offY offZ [TYPE]`);
-    }
-
-    // Parse the six required integers.
-    const nums = parts.slice(0, 6).map(v => Number(v));
-    if (!nums.every(n => Number.isInteger(n))){
-      throw new Error(`Invalid numbers on line ${i+1}. Expected 6 integers: blockX blockY blockZ offX offY offZ`);
-    }
-    const [bx, by, bz, ox, oy, oz] = nums;
-
-    let kind = (parts[6] ? String(parts[6]).trim() : 'SHORT_GRASS');
-    const variantToken = parts[7] ? String(parts[7]).trim() : '';
-
-    // Legacy aliases
-    if (/^short$/i.test(kind)) kind = 'SHORT_GRASS';
-    if (/^tall$/i.test(kind)) kind = 'TALL_GRASS';
-    kind = kind.toUpperCase();
+// --- Forward calculator (coordinates -> offsets) ---
+// Uses the crack panel's Version; the output is offset data that parseGrassDataStrict() reads.
+function __setForwardMsg(text, isError=false){
+  if (!el.forwardMsg) return;
+  el.forwardMsg.textContent = String(text ?? '');
+  el.forwardMsg.classList.toggle('tp-error', Boolean(isError));
+}
 
-    // Legacy alias for earlier builds
-    if (kind === 'GRASS_BLOCK_CUBE') kind = 'CUBE';
+el.forwardRun?.addEventListener('click', async () => {
+  const version = String(el.crackVersion?.value || 'post1_12');
+  try {
+    if (version === 'auto') throw new Error('Pick a Version in the crack panel; "Unknown" has no single formula.');
+    const rows = await GF.forwardOffsetsAsync(parseBlockListStrict(el.forwardIn?.value), version);
+    el.forwardOut.value = rows.map(r => `${r.x} ${r.y} ${r.z}  ${r.off.x} ${r.off.y} ${r.off.z} ${r.kind}`).join('\n');
+    __setForwardMsg(`${rows.length} block(s), ${GF.hashById(version).label}.`);
+  } catch (err) {
+    __setForwardMsg(String(err?.message || err), true);
+  }
+});
 
-    // Normalize unknown foliage ids to SHORT_GRASS so the UI stays usable.
-    if (!FOLIAGE.byId.has(kind)) kind = 'SHORT_GRASS';
+el.forwardUse?.addEventListener('click', () => {
+  if (!el.forwardOut?.value) { __setForwardMsg('Compute offsets first.', true); return; }
+  el.grassDataIn.value = el.forwardOut.value;
+  __setForwardMsg('Copied to the offset data input; press "Load offset data" to place it.');
+});
 
-    if (![ox, oy, oz].every(v => Number.isInteger(v) && v >= 0 && v <= 15)){
-      throw new Error(`Offsets must be 0-15 on line ${i+1}. Got: ${ox} ${oy} ${oz}`);
+// Replaces the placed samples with parsed offset data (parseGrassDataStrict rows).
+// Returns how many rows were skipped because their block was already occupied.
+function loadGrassRows(rows){
+  el.exportBox.value = '';
+  clearAllGrass();
+  let skipped = 0;
+  for (const r of rows){
+    const prevProp = activePropaguleModel;
+    const prevCube = activeCubeBlockType;
+    if (r.kind === 'MANGROVE_PROPAGULE') {
+      activePropaguleModel = String(r.propaguleModel || 'ground');
     }
-
-    const row = { bx, by, bz, ox, oy, oz, kind };
-    if (kind === 'MANGROVE_PROPAGULE' && variantToken) row.propaguleModel = variantToken;
-    if (kind === 'CUBE'){
-      let ct = variantToken ? String(variantToken).toUpperCase() : 'GRASS_BLOCK';
-      if (!CUBE_BLOCK_TYPE_BY_TOKEN.has(ct)) ct = 'GRASS_BLOCK';
-      row.cubeType = ct;
+    if (r.kind === 'CUBE') {
+      const ct = String(r.cubeType || 'GRASS_BLOCK').toUpperCase();
+      activeCubeBlockType = CUBE_BLOCK_TYPE_BY_TOKEN.has(ct) ? ct : 'GRASS_BLOCK';
     }
-
-    rows.push(row);
+    const placed = addGrass(new THREE.Vector3(r.bx, r.by, r.bz), {x:r.ox, y:r.oy, z:r.oz}, r.kind);
+    if (placed == null) skipped++;
+    activePropaguleModel = prevProp;
+    activeCubeBlockType = prevCube;
   }
-
-  if (!rows.length) throw new Error('No grass data found.');
-  return rows;
+  // select first grass and set active block
+  const first = [...grasses.values()].sort((a,b)=>a.id-b.id)[0];
+  if (first){
+    activeBlock.copy(first.block);
+    setSelected(first.id);
+  }
+  return skipped;
 }
 
-
 el.loadGrassData.addEventListener('click', () => {
   try{
     const rows = parseGrassDataStrict(el.grassDataIn.value);
-    el.exportBox.value = '';
-    clearAllGrass();
-    let skipped = 0;
-    for (const r of rows){
-      const prevProp = activePropaguleModel;
-      const prevCube = activeCubeBlockType;
-      if (r.kind === 'MANGROVE_PROPAGULE') {
-        activePropaguleModel = String(r.propaguleModel || 'ground');
-      }
-      if (r.kind === 'CUBE') {
-        const ct = String(r.cubeType || 'GRASS_BLOCK').toUpperCase();
-        activeCubeBlockType = CUBE_BLOCK_TYPE_BY_TOKEN.has(ct) ? ct : 'GRASS_BLOCK';
-      }
-            const placed = addGrass(new THREE.Vector3(r.bx, r.by, r.bz), {x:r.ox, y:r.oy, z:r.oz}, r.kind);
-      if (placed == null) skipped++;
-      activePropaguleModel = prevProp;
-      activeCubeBlockType = prevCube;
-    }
-    // select first grass and set active block
-    const first = [...grasses.values()].sort((a,b)=>a.id-b.id)[0];
-    if (first){
-      activeBlock.copy(first.block);
-      setSelected(first.id);
-    }
+    const skipped = loadGrassRows(rows);
     el.crackStatus.textContent = skipped
       ? `Loaded ${rows.length - skipped} of ${rows.length} entries (${skipped} skipped: block already occupied).`
       : `Loaded ${rows.length} grass entries.`;
@@ -5293,63 +5249,280 @@ el.loadGrassData.addEventListener('click', () => {
   }
 });
 
-el.crackCoords.addEventListener('click', async () => {
+// Controls for the crack that is currently running (null when idle).
+let __crackAbort = null;
+let __crackPause = null;
+
+function __syncCrackControlButtons(){
+  const running = !!__crackAbort && !__crackAbort.signal.aborted;
+  if (el.crackPause) {
+    el.crackPause.disabled = !running;
+    el.crackPause.textContent = __crackPause?.paused ? 'Resume' : 'Pause';
+  }
+  if (el.crackCancel) el.crackCancel.disabled = !running;
+}
+
+// Custom search region, one shape per line (see grassfinder_region.js):
+//   rect x0 z0 x1 z1
+//   circle x z radius [innerRadius]
+//   poly x,z x,z x,z ...
+// Blank lines and lines starting with # are ignored. Throws with the offending line number.
+function __parseCrackRegion(text){
+  const shapes = [];
+  String(text || '').split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const [kind, ...rest] = line.split(/\s+/);
+    const nums = (parts) => parts.map(Number);
+    const bad = (why) => new Error(`Region line ${i + 1}: ${why}`);
+    const k = kind.toLowerCase();
+    if (k === 'rect') {
+      const v = nums(rest);
+      if (v.length !== 4 || !v.every(Number.isFinite)) throw bad('expected "rect x0 z0 x1 z1".');
+      shapes.push({ type: 'rect', x0: v[0], z0: v[1], x1: v[2], z1: v[3] });
+    } else if (k === 'circle') {
+      const v = nums(rest);
+      if ((v.length !== 3 && v.length !== 4) || !v.every(Number.isFinite)) throw bad('expected "circle x z radius [innerRadius]".');
+      shapes.push({ type: 'circle', centerX: v[0], centerZ: v[1], radius: v[2], innerRadius: v[3] ?? 0 });
+    } else if (k === 'poly' || k === 'polygon') {
+      const points = rest.map(p => nums(p.split(',')));
+      if (points.length < 3 || !points.every(p => p.length === 2 && p.every(Number.isFinite))) {
+        throw bad('expected "poly x,z x,z x,z ..." with at least 3 points.');
+      }
+      shapes.push({ type: 'polygon', points });
+    } else {
+      throw bad(`unknown shape "${kind}".`);
+    }
+  });
+  if (!shapes.length) throw new Error('Custom region: add at least one shape.');
+  return shapes;
+}
+
+function __syncCrackRegionUI(){
+  const custom = el.crackRegionMode?.value === 'custom';
+  el.crackRegion?.classList.toggle('hidden', !custom);
+  if (el.crackRadius) el.crackRadius.disabled = custom;
+}
+el.crackRegionMode?.addEventListener('change', __syncCrackRegionUI);
+
+function __readCrackParams(){
   const centerX = num(el.crackCenterX.value, 0);
   const centerZ = num(el.crackCenterZ.value, 0);
+  // Lattice solver cost doesn't depend on the radius, so it may search up to the world border.
+  const solver = (el.crackSolver?.value === 'lattice') ? 'lattice' : 'box';
   // Radius cap (applies to both 1.8+ and pre-1.8 scan modes)
-  const radius = clamp(Math.round(num(el.crackRadius.value, 256)), 0, 100000);
+  const radius = clamp(Math.round(num(el.crackRadius.value, 256)), 0, solver === 'lattice' ? 30000000 : GF.MAX_BOX_RADIUS);
   const yMin = Math.round(num(el.crackYMin.value, 62));
   const yMax = Math.round(num(el.crackYMax.value, 70));
-  // Versions:
+  // Versions are hash registry ids:
   //   post1_12  -> "1.8+" mode (cracker ignores Y)
   //   postb1_5  -> "pre 1.8" mode (vanilla XOR seed)
   //   b1_6_tb3  -> b1.6-tb3 (ADD seed)
+  //   custom    -> formulas added under "Custom hash formulas"
+  //   auto      -> unknown: the three built-ins in one scan
   const vraw = String(el.crackVersion?.value || 'post1_12');
-  const version = (vraw === 'post1_12' || vraw === 'postb1_5' || vraw === 'b1_6_tb3') ? vraw : 'post1_12';
-  const matchMode = (el.matchMode?.value === 'scored') ? 'scored' : 'strict';
-  const tolerance = clamp(Math.round(num(el.tolerance?.value, 1)), 0, 2);
+  const version = (vraw === 'auto' || GF.hashById(vraw)) ? vraw : 'post1_12';
+  const mraw = String(el.matchMode?.value || 'strict');
+  // Limits are validated, not clamped: a typo shouldn't quietly run a different crack.
+  const settings = GF.crackSettings({
+    matchMode: (mraw === 'scored' || mraw === 'outliers') ? mraw : 'strict',
+    tolerance: el.tolerance?.value,
+    maxScore: el.crackMaxScore?.value,
+    maxOutliers: el.crackMaxOutliers?.value,
+    maxResults: el.crackMaxResults?.value,
+    maxMatches: el.crackMaxMatches?.value,
+    stopAfter: el.crackStopAfter?.value,
+  });
+  const customRegion = el.crackRegionMode?.value === 'custom';
+  const regionText = customRegion ? String(el.crackRegion?.value || '') : '';
+  return {
+    centerX, centerZ, radius, yMin, yMax, version,
+    ...settings,
+    useWorkers: !!el.crackWorkers?.checked,
+    solver,
+    order: (el.crackOrder?.value === 'spiral') ? 'spiral' : 'rows',
+    // Center X/Z stay the spiral center when a custom region is used.
+    region: customRegion ? __parseCrackRegion(regionText) : null,
+    regionText,
+  };
+}
+
+// Label of a crack version from the hash registry, for tagging matches of an auto-version crack.
+function __versionLabel(version){
+  return GF.hashById(version)?.label ?? version;
+}
+
+// One line of the crack output for match `p` of a crack run with `version` and `matchMode`.
+function __formatCrackMatch(p, version, matchMode){
+  const pos = (version === 'auto') ? `${p.x} ${p.y} ${p.z}  [${__versionLabel(p.version)}]` : `${p.x} ${p.y} ${p.z}`;
+  const base = (matchMode === 'scored') ? `${pos}  score=${p.score}`
+    : (matchMode === 'outliers') ? `${pos}  outliers=${__formatOutliers(p)}`
+    : pos;
+  return (typeof p.likelihood === 'number') ? `${base}  likelihood=${(p.likelihood * 100).toFixed(1)}%` : base;
+}
+
+// Version a match was cracked with (matches restored from older sessions aren't tagged).
+function __crackMatchVersion(m){
+  return m?.version ?? __lastCrackVersion;
+}
+
+// One-line summary of the settings a crack ran with (GF.crackSettings output).
+function __formatCrackSettings(st){
+  const mode = (st.matchMode === 'scored') ? `scored (tolerance ${st.tolerance}, max score ${st.maxScore})`
+    : (st.matchMode === 'outliers') ? `outliers (K=${st.maxOutliers})`
+    : 'strict';
+  const stop = st.stopAfter ? `, stop after ${st.stopAfter}` : '';
+  return `${mode}, ${st.maxResults} results shown, match cap ${st.maxMatches}${stop}`;
+}
+
+// --- Crack throughput ---
+// The rate line under the crack controls: a sparkline of the candidates per second, plus the
+// rate, elapsed time and ETA; hovering it lists each worker's rate.
+const CRACK_SPARK_POINTS = 60;
+const CRACK_SPARK_EVERY_MS = 500;
+let __crackSpark = [];
+let __crackSparkAt = 0;
+
+function __resetCrackRate(){
+  __crackSpark = [];
+  __crackSparkAt = 0;
+  el.crackSparkLine?.setAttribute('points', '');
+  if (el.crackRateText) el.crackRateText.textContent = '';
+  el.crackRate?.classList.add('hidden');
+}
+
+function __drawCrackSpark(){
+  if (!el.crackSparkLine) return;
+  const max = Math.max(1, ...__crackSpark);
+  const step = 120 / (CRACK_SPARK_POINTS - 1);
+  el.crackSparkLine.setAttribute('points', __crackSpark.map((v, i) => `${(i * step).toFixed(1)},${(23 - v / max * 22).toFixed(1)}`).join(' '));
+}
+
+// Per-worker rates, for the rate line's tooltip.
+function __formatCrackWorkers(workers){
+  if (!workers?.length) return 'Main thread';
+  return workers.map(w => `Worker ${w.worker}${w.build ? ` (${w.build})` : ''}: ${GF.formatRate(w.cellsPerSecond)}, ${Math.round(w.cells).toLocaleString()} checked`).join('\n');
+}
+
+// onProgress report `p` (see GF.crack) while a crack runs.
+function __updateCrackRate(p){
+  if (!el.crackRate) return;
+  el.crackRate.classList.remove('hidden');
+  const now = performance.now();
+  if (now - __crackSparkAt >= CRACK_SPARK_EVERY_MS) {
+    __crackSparkAt = now;
+    __crackSpark.push(p.cellsPerSecond);
+    if (__crackSpark.length > CRACK_SPARK_POINTS) __crackSpark.shift();
+    __drawCrackSpark();
+  }
+  const eta = (p.etaMs == null) ? 'ETA unknown' : `ETA ${GF.formatDuration(p.etaMs)}`;
+  el.crackRateText.textContent = `${GF.formatRate(p.cellsPerSecond)}  elapsed ${GF.formatDuration(p.elapsedMs)}  ${eta}`;
+  el.crackRate.title = __formatCrackWorkers(p.workers);
+}
+
+// Final `stats` of a crack result.
+function __showCrackStats(stats){
+  if (!el.crackRate || !stats) return;
+  el.crackRate.classList.toggle('hidden', !stats.cells);
+  const threads = stats.workers.length ? `${stats.workers.length} worker(s)` : 'main thread';
+  el.crackRateText.textContent = `Average ${GF.formatRate(stats.cellsPerSecond)} over ${GF.formatDuration(stats.elapsedMs)} (${threads}, ${stats.cores} core(s))`;
+  el.crackRate.title = __formatCrackWorkers(stats.workers);
+}
+
+// Runs a crack and renders its results. `resume` is a checkpointed session from IndexedDB.
+async function __runCrack(params, resume = null){
+  const { yMin, version, matchMode, solver } = params;
 
   el.crackOut.value = '';
   el.crackCoords.disabled = true;
-  el.crackStatus.textContent = 'Cracking... (this can take a while for large radii)';
+  if (el.crackResume) el.crackResume.disabled = true;
+  el.crackStatus.textContent = resume
+    ? 'Resuming last crack...'
+    : 'Cracking... (this can take a while for large radii)';
+
+  __resetCrackRate();
+  __crackAbort = new AbortController();
+  __crackPause = GF.createPauseController();
+  __syncCrackControlButtons();
+
+  // Checkpoints carry the dataset so a reload doesn't depend on the editor state.
+  const rows = resume ? resume.rows : rowsFromGrasses();
+  const startedAt = resume?.startedAt ?? Date.now();
+
+  // Matches stream in while the scan runs, so the /tp helper can be used before it finishes.
+  const formatMatch = (p) => __formatCrackMatch(p, version, matchMode);
+  let estimate = null;
+  if (el.crackInfoWarn) el.crackInfoWarn.classList.add('hidden');
+  try {
+    __lastCrackMatches = [];
+    __lastCrackRows = rows;
+    __lastCrackMatchMode = matchMode;
+    __lastCrackVersion = version;
+    __crackTpYUserEdited = false;
+    if (el.crackTpOriginY) el.crackTpOriginY.value = String(yMin);
+    __populateCrackMatchSelect();
+  } catch (_) { /* ignore */ }
 
   const t0 = performance.now();
   try{
     const res = await GF.crack({
-      centerX, centerZ, radius, yMin, yMax, version,
-      matchMode,
-      tolerance,
-      maxScore: 6,
-      maxResults: 50,
-      useWorkers: !!el.crackWorkers?.checked,
-      onProgress: ({done, total, matches}) => {
+      ...params,
+      rows,
+      resumeTiles: resume?.tiles,
+      signal: __crackAbort.signal,
+      pause: __crackPause,
+      onEstimate: (e) => {
+        estimate = e;
+        if (el.crackInfoWarn) {
+          el.crackInfoWarn.textContent = e.warning || '';
+          el.crackInfoWarn.classList.toggle('hidden', !e.warning);
+        }
+      },
+      onCheckpoint: (state) => {
+        saveCrackSession({ params, rows, startedAt, savedAt: Date.now(), ...state })
+          .catch(err => console.warn('Could not save crack checkpoint:', err));
+      },
+      onProgress: (p) => {
+        const {done, total, matches, newMatches} = p;
+        if (newMatches?.length) {
+          const text = newMatches.map(formatMatch).join('\n');
+          el.crackOut.value = el.crackOut.value ? `${el.crackOut.value}\n${text}` : text;
+          try { __appendCrackMatches(newMatches); } catch (_) { /* ignore */ }
+        }
+        if (__crackPause?.paused) return;
+        __updateCrackRate(p);
         const pct = total ? (done/total*100) : 0;
-        el.crackStatus.textContent = `Cracking... ${pct.toFixed(1)}%  checked ${done.toLocaleString()} / ${total.toLocaleString()}  matches ${matches}`;
+        const unit = (solver === 'lattice') ? ' roots' : '';
+        el.crackStatus.textContent = `Cracking... ${pct.toFixed(1)}%  checked ${done.toLocaleString()} / ${total.toLocaleString()}${unit}  matches ${matches}`;
       }
     });
 
-    // Expose matches for the experimental teleport helper UI.
+    if (!res.cancelled) clearCrackSession().catch(() => {});
+
+    // Expose matches for the experimental teleport helper UI. The final list is sorted and
+    // trimmed, so rebuild it but keep a candidate picked while the scan was running.
     try {
+      const picked = (el.crackMatchSelect?.value !== '') ? __selectedCrackMatch() : null;
       __lastCrackMatches = Array.isArray(res?.matches) ? res.matches : [];
-      __lastCrackMatchMode = matchMode;
-      __lastCrackVersion = version;
-      __crackTpYUserEdited = false;
-      if (el.crackTpOriginY) el.crackTpOriginY.value = String(yMin);
       __populateCrackMatchSelect();
+      __reselectCrackMatch(picked);
     } catch (_) { /* ignore */ }
 
     const dt = performance.now() - t0;
-    const lines = res.matches.map(p => {
-      if (matchMode === 'scored') return `${p.x} ${p.y} ${p.z}  score=${p.score}`;
-      return `${p.x} ${p.y} ${p.z}`;
-    });
+    const lines = res.matches.map(formatMatch);
 
-    if (res.warning) {
-      el.crackOut.value = `WARNING: ${res.warning}\n\n` + (lines.join('\n') || '(no matches)');
+    const warnings = [res.warning, estimate?.warning].filter(Boolean);
+    if (warnings.length) {
+      el.crackOut.value = warnings.map(w => `WARNING: ${w}\n`).join('') + '\n' + (lines.join('\n') || '(no matches)');
     } else {
       el.crackOut.value = lines.length ? lines.join('\n') : '(no matches in the searched range)';
     }
-    el.crackStatus.textContent = `Done in ${(dt/1000).toFixed(2)}s - matches: ${res.matches.length}`;
+    const chance = estimate ? ` - ${estimate.totalBits.toFixed(1)} bits, ~${GF.formatExpected(estimate.expectedFalse)} expected by chance` : '';
+    el.crackStatus.textContent = res.cancelled
+      ? `Cancelled after ${(dt/1000).toFixed(2)}s - partial matches: ${res.matches.length}${chance}`
+      : `Done in ${(dt/1000).toFixed(2)}s - matches: ${res.matches.length}${chance}`;
+    el.crackStatus.title = res.settings ? `Settings: ${__formatCrackSettings(res.settings)}` : '';
+    __showCrackStats(res.stats);
     el.crackOut.focus();
     el.crackOut.select();
   } catch (err){
@@ -5363,11 +5536,342 @@ el.crackCoords.addEventListener('click', async () => {
 
   } finally {
     el.crackCoords.disabled = false;
+    __crackAbort = null;
+    __crackPause = null;
+    __syncCrackControlButtons();
+    __refreshCrackResumeOffer();
+  }
+}
+
+// --- Dataset information meter ---
+// Compares the bits in the placed samples with log2 of the crack's search volume
+// (see GF.crackEstimate) and suggests how many more samples a unique answer needs.
+let __infoMeterQueued = false;
+function scheduleInfoMeterUpdate(){
+  if (__infoMeterQueued || !el.infoMeter) return;
+  __infoMeterQueued = true;
+  requestAnimationFrame(() => {
+    __infoMeterQueued = false;
+    try { __updateInfoMeter(); } catch (err) { console.warn('Information meter failed:', err); }
+  });
+}
+
+function __updateInfoMeter(){
+  let params;
+  let area;
+  try {
+    params = __readCrackParams();
+    area = GF.searchArea({ ...params, countColumns: params.solver !== 'lattice' });
+  } catch (err) {
+    el.infoMeterFill.style.width = '0%';
+    el.infoMeter.classList.remove('is-enough');
+    el.infoMeterText.textContent = String(err?.message || err);
+    return;
+  }
+
+  const yCount = GF.versionIgnoresY(params.version) ? 1 : Math.abs(params.yMax - params.yMin) + 1;
+  const opts = { mode: params.matchMode, tolerance: params.tolerance, maxScore: params.maxScore, maxOutliers: params.maxOutliers, version: params.version, layers: yCount };
+  const est = GF.crackEstimate(rowsFromGrasses(), area.cells * yCount, opts);
+  // Bits one more centered sample would add in the current mode.
+  const sampleBits = (mask) => GF.crackInformation([{ pos: { x: 0, y: 0, z: 0 }, mask, packed: 0x777, isDripstone: false }], opts).samples[0].bits;
+
+  const enough = est.totalBits >= est.neededBits;
+  const pct = est.neededBits > 0 ? Math.min(100, est.totalBits / est.neededBits * 100) : 100;
+  el.infoMeterFill.style.width = `${pct.toFixed(1)}%`;
+  el.infoMeter.classList.toggle('is-enough', enough);
+
+  const head = `${est.totalBits.toFixed(1)} / ${est.neededBits.toFixed(1)} bits (${est.samples.length} samples).`;
+  if (enough) {
+    el.infoMeterText.textContent = `${head} Enough for a unique answer: ~${GF.formatExpected(est.expectedFalse)} random matches expected.`;
+  } else {
+    const missing = est.neededBits - est.totalBits;
+    const xyz = Math.ceil(missing / sampleBits(0xFFF));
+    const xz = Math.ceil(missing / sampleBits(0xF0F));
+    el.infoMeterText.textContent = `${head} Add about ${xyz} more XYZ samples (e.g. short grass) or ${xz} XZ samples (e.g. tall grass) for a unique answer.`;
+  }
+}
+
+for (const input of [el.crackVersion, el.crackRadius, el.crackYMin, el.crackYMax, el.crackSolver, el.crackRegionMode, el.crackRegion, el.matchMode, el.tolerance, el.crackMaxOutliers, el.crackMaxScore]) {
+  input?.addEventListener('input', scheduleInfoMeterUpdate);
+  input?.addEventListener('change', scheduleInfoMeterUpdate);
+}
+scheduleInfoMeterUpdate();
+
+// --- Crack pre-flight ---
+// Before a crack starts, GF.crackPreflight() counts its candidates and times the engine on a
+// small area. Cracks estimated to run longer than CRACK_CONFIRM_MS ask first, with ways to
+// make them smaller.
+const CRACK_CONFIRM_MS = 2 * 60 * 1000;
+let __crackPreflighting = false;
+
+function __crackPreflightMessage(pre, params){
+  const area = params.region ? 'the custom region' : `radius ${params.radius}`;
+  const layers = (pre.layers > 1) ? ` x ${pre.layers} Y layers` : '';
+  const tips = [
+    params.region ? 'Narrow the region.' : 'Narrow the radius: half the radius is a quarter of the work.',
+  ];
+  if (pre.layers > 1) tips.push(`Narrow the Y range (${pre.layers} layers now); every layer is a full pass.`);
+  if (pre.solver === 'box' && params.matchMode === 'strict' && params.version !== 'auto') {
+    tips.push('Try the lattice solver: its cost is per Y layer and barely grows with the radius.');
   }
+  const info = pre.estimate;
+  if (info && info.totalBits < info.neededBits) {
+    tips.push(`Add more samples: they carry ${info.totalBits.toFixed(1)} bits, a unique answer over this area needs ${info.neededBits.toFixed(1)}. Better samples also let a smaller area be enough.`);
+  } else {
+    tips.push('Add more samples, so a smaller area around where you think it is can give a unique answer.');
+  }
+  return `This crack checks ${Math.round(pre.cells).toLocaleString()} candidates (${area}${layers}) ` +
+    `and would take about ${GF.formatDuration(pre.estimatedMs)} on this machine (${GF.formatRate(pre.cellsPerSecond)}, ${pre.engine}).\n\n` +
+    `To make it faster:\n${tips.map(t => `- ${t}`).join('\n')}\n\nStart it anyway?`;
+}
+
+el.crackCoords.addEventListener('click', async () => {
+  if (__crackPreflighting || __crackAbort) return;
+  let params;
+  try {
+    params = __readCrackParams();
+  } catch (err) {
+    el.crackStatus.textContent = String(err?.message || err);
+    return;
+  }
+
+  // Settings crack() rejects are reported by the crack itself.
+  let pre = null;
+  __crackPreflighting = true;
+  el.crackCoords.disabled = true;
+  el.crackStatus.textContent = 'Estimating the run time...';
+  try {
+    pre = await GF.crackPreflight({ ...params, rows: rowsFromGrasses() });
+  } catch (err) {
+    console.warn('Crack pre-flight failed:', err);
+  } finally {
+    __crackPreflighting = false;
+    el.crackCoords.disabled = false;
+  }
+  if (pre?.estimatedMs > CRACK_CONFIRM_MS && !confirm(__crackPreflightMessage(pre, params))) {
+    el.crackStatus.textContent = `Not started: about ${GF.formatDuration(pre.estimatedMs)} for ${Math.round(pre.cells).toLocaleString()} candidates.`;
+    return;
+  }
+  __runCrack(params);
+});
+
+// --- Crack session checkpoints (IndexedDB) ---
+// Worker-based cracks periodically save their dataset, parameters and the tiles they finished.
+// After a reload the last unfinished session can be resumed with the remaining tiles.
+const CRACK_DB_NAME = 'offset-to-coordinate';
+const CRACK_DB_STORE = 'crackSessions';
+const CRACK_SESSION_KEY = 'last';
+
+function __openCrackDb(){
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) { reject(new Error('IndexedDB is not available.')); return; }
+    const req = indexedDB.open(CRACK_DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(CRACK_DB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function __crackDbRequest(mode, fn){
+  const db = await __openCrackDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(CRACK_DB_STORE, mode);
+      const req = fn(tx.objectStore(CRACK_DB_STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function saveCrackSession(session){
+  return __crackDbRequest('readwrite', store => store.put(session, CRACK_SESSION_KEY));
+}
+
+function loadCrackSession(){
+  return __crackDbRequest('readonly', store => store.get(CRACK_SESSION_KEY));
+}
+
+function clearCrackSession(){
+  return __crackDbRequest('readwrite', store => store.delete(CRACK_SESSION_KEY));
+}
+
+// Put the session's parameters back into the crack panel and its dataset back into the editor,
+// so the results and the /tp helper refer to the same samples.
+function __restoreCrackSessionUI(session){
+  const p = session.params || {};
+  if (el.crackCenterX) el.crackCenterX.value = String(p.centerX ?? 0);
+  if (el.crackCenterZ) el.crackCenterZ.value = String(p.centerZ ?? 0);
+  if (el.crackRadius) el.crackRadius.value = String(p.radius ?? 256);
+  if (el.crackYMin) el.crackYMin.value = String(p.yMin ?? 62);
+  if (el.crackYMax) el.crackYMax.value = String(p.yMax ?? 70);
+  if (el.crackVersion && p.version) { el.crackVersion.value = p.version; __syncCrackYUI(); }
+  if (el.crackSolver && p.solver) el.crackSolver.value = p.solver;
+  if (el.crackOrder && p.order) el.crackOrder.value = p.order;
+  if (el.crackStopAfter) el.crackStopAfter.value = String(p.stopAfter ?? 0);
+  if (el.crackRegionMode) el.crackRegionMode.value = p.region ? 'custom' : 'square';
+  if (el.crackRegion) el.crackRegion.value = p.regionText ?? '';
+  __syncCrackRegionUI();
+  if (el.crackMaxOutliers) el.crackMaxOutliers.value = String(p.maxOutliers ?? 1);
+  if (el.crackMaxScore) el.crackMaxScore.value = String(p.maxScore ?? 6);
+  if (el.crackMaxResults) el.crackMaxResults.value = String(p.maxResults ?? 50);
+  if (el.crackMaxMatches) el.crackMaxMatches.value = String(p.maxMatches ?? 2000);
+  if (el.matchMode && p.matchMode) { el.matchMode.value = p.matchMode; updateCrackerModeUI(); }
+  if (el.tolerance && p.tolerance != null) { el.tolerance.value = String(p.tolerance); if (el.tolVal) el.tolVal.textContent = String(p.tolerance); }
+
+  clearAllGrass();
+  for (const r of session.rows || []) {
+    const off = { x: r.packed & 15, y: (r.packed >> 4) & 15, z: (r.packed >> 8) & 15 };
+    addGrass(new THREE.Vector3(r.pos.x, r.pos.y, r.pos.z), off, r.kind);
+  }
+  const first = [...grasses.values()].sort((a,b)=>a.id-b.id)[0];
+  if (first){
+    activeBlock.copy(first.block);
+    setSelected(first.id);
+  }
+}
+
+async function __refreshCrackResumeOffer(){
+  if (!el.crackResume) return;
+  let session = null;
+  try { session = await loadCrackSession(); } catch (_) {}
+  const ok = !!session && !!session.tiles && Array.isArray(session.rows);
+  el.crackResume.classList.toggle('hidden', !ok);
+  el.crackResume.disabled = !ok || !!__crackAbort;
+  if (ok) {
+    const pct = session.total ? (session.done / session.total * 100) : 0;
+    const when = new Date(session.savedAt || Date.now()).toLocaleString();
+    const area = session.params?.region ? 'custom region' : `r=${session.params?.radius ?? '?'}`;
+    el.crackResume.title = `${session.params?.version ?? ''} ${area} - ${pct.toFixed(1)}% done, saved ${when}`;
+    el.crackResume.textContent = `Resume last crack (${pct.toFixed(1)}%)`;
+  }
+}
+
+el.crackResume?.addEventListener('click', async () => {
+  if (__crackAbort) return;
+  let session = null;
+  try { session = await loadCrackSession(); } catch (err) { console.warn(err); }
+  if (!session) { __refreshCrackResumeOffer(); return; }
+  __restoreCrackSessionUI(session);
+  __runCrack(session.params, session);
+});
+
+__refreshCrackResumeOffer();
+
+el.crackPause?.addEventListener('click', () => {
+  if (!__crackPause) return;
+  if (__crackPause.paused) {
+    __crackPause.resume();
+    el.crackStatus.textContent = 'Resuming...';
+  } else {
+    __crackPause.pause();
+    el.crackStatus.textContent = 'Paused. Progress is kept; press Resume to continue.';
+  }
+  __syncCrackControlButtons();
+});
+
+el.crackCancel?.addEventListener('click', () => {
+  if (!__crackAbort) return;
+  __crackAbort.abort();
+  el.crackStatus.textContent = 'Cancelling... (collecting partial matches)';
+  __syncCrackControlButtons();
+});
+
+// --- Custom hash formulas ---
+// The Version dropdown lists the GF hash registry. Custom formulas are entered as JSON and kept
+// in the crack database next to the session checkpoint, so they survive reloads (and a resumed
+// crack finds its formula again).
+const CRACK_HASHES_KEY = 'customHashes';
+
+function __setCrackHashMsg(text, isError=false){
+  if (!el.crackHashMsg) return;
+  el.crackHashMsg.textContent = String(text ?? '');
+  el.crackHashMsg.classList.toggle('tp-error', Boolean(isError));
+}
+
+function __isBuiltinHash(id){
+  return BUILTIN_HASHES.some(h => h.id === id);
+}
+
+function __customHashes(){
+  return GF.listHashes().filter(h => !__isBuiltinHash(h.id));
+}
+
+// Rebuild the Version options, keeping the selection when it still exists.
+function __populateCrackVersions(){
+  if (!el.crackVersion) return;
+  const prev = el.crackVersion.value || 'post1_12';
+  el.crackVersion.replaceChildren();
+  const add = (value, label) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    el.crackVersion.appendChild(opt);
+  };
+  for (const h of GF.listHashes()) add(h.id, __isBuiltinHash(h.id) ? h.label : `${h.label} (custom)`);
+  add('auto', 'Unknown (try all)');
+  el.crackVersion.value = (prev === 'auto' || GF.hashById(prev)) ? prev : 'post1_12';
+  __syncCrackYUI();
+}
+
+// Y max only matters when the chosen formula feeds Y into the hash. One that ignores Y (1.8+)
+// is cracked on a single layer, and Y min is the Y its matches are reported at.
+function __syncCrackYUI(){
+  if (!el.crackYMax) return;
+  const ignoresY = GF.versionIgnoresY(el.crackVersion?.value);
+  el.crackYMax.disabled = ignoresY;
+  el.crackYMax.title = ignoresY ? 'The selected formula ignores Y, so only Y min is used.' : '';
+}
+
+el.crackVersion?.addEventListener('change', __syncCrackYUI);
+
+function __saveCustomHashes(){
+  return __crackDbRequest('readwrite', store => store.put(__customHashes(), CRACK_HASHES_KEY));
+}
+
+async function __loadCustomHashes(){
+  let saved = null;
+  try { saved = await __crackDbRequest('readonly', store => store.get(CRACK_HASHES_KEY)); } catch (_) {}
+  for (const def of Array.isArray(saved) ? saved : []) {
+    try { GF.registerHash(def); } catch (err) { console.warn('Skipping saved hash formula:', err); }
+  }
+  __populateCrackVersions();
+}
+
+el.crackHashAdd?.addEventListener('click', async () => {
+  let added;
+  try {
+    added = GF.registerHash(JSON.parse(el.crackHashJson?.value || ''));
+    if (!added.length) throw new Error('Nothing to add.');
+  } catch (err) {
+    __setCrackHashMsg(String(err?.message || err), true);
+    return;
+  }
+  __populateCrackVersions();
+  el.crackVersion.value = added[added.length - 1].id;
+  scheduleInfoMeterUpdate();
+  __setCrackHashMsg(`Added ${added.map(h => h.id).join(', ')}.`);
+  try { await __saveCustomHashes(); } catch (err) { __setCrackHashMsg(`Added, but not saved: ${err?.message || err}`, true); }
+});
+
+el.crackHashRemove?.addEventListener('click', async () => {
+  const id = el.crackVersion?.value;
+  if (!GF.unregisterHash(id)) {
+    __setCrackHashMsg('Select a custom formula under Version first.', true);
+    return;
+  }
+  __populateCrackVersions();
+  scheduleInfoMeterUpdate();
+  __setCrackHashMsg(`Removed ${id}.`);
+  try { await __saveCustomHashes(); } catch (err) { __setCrackHashMsg(`Removed, but not saved: ${err?.message || err}`, true); }
 });
 
 
 
+
 // --- Grassfinder match -> teleport helper (EXPERIMENTAL) ---
 let __lastCrackMatches = [];
 let __lastCrackMatchMode = 'strict';
@@ -5434,7 +5938,7 @@ async function __copyToClipboard(text){
 }
 
 function __getCrackReferenceOrigin(){
-  // Must match GF.rowsFromGrasses(): ignore CUBE and pick smallest id.
+  // Must match rowsFromGrasses(): ignore CUBE and pick smallest id.
   const ordered = [...grasses.values()]
     .filter(g => String(g?.kind || '') !== 'CUBE')
     .sort((a,b)=>a.id-b.id);
@@ -5464,7 +5968,7 @@ function __populateCrackMatchSelect(){
   // Show/hide Origin Y helper depending on crack version.
   try {
     const wrap = document.querySelector('.crack-tp-originy');
-    const show = (__lastCrackVersion === 'post1_12');
+    const show = (__lastCrackVersion === 'auto' || GF.versionIgnoresY(__lastCrackVersion));
     if (wrap) wrap.classList.toggle('hidden', !show);
     if (show && el.crackTpOriginY && !__crackTpYUserEdited) {
       const firstY = (__lastCrackMatches?.[0]?.y ?? Math.round(num(el.crackYMin?.value, 62)));
@@ -5492,20 +5996,56 @@ function __populateCrackMatchSelect(){
   }
 
   for (let i=0;i<__lastCrackMatches.length;i++){
-    const m = __lastCrackMatches[i];
-    const opt = document.createElement('option');
-    opt.value = String(i);
-    const base = `${m.x} ${m.y} ${m.z}`;
-    opt.textContent = (__lastCrackMatchMode === 'scored' && typeof m.score === 'number')
-      ? `${base}  (score=${m.score})`
-      : base;
-    sel.appendChild(opt);
+    sel.appendChild(__crackMatchOption(__lastCrackMatches[i], i));
   }
 
   // Auto-generate an initial command preview (non-copy) for convenience.
   __updateCrackTpOutput(false);
 }
 
+// Outlier sample ids as shown in the offset list ("#id"), or "none".
+function __formatOutliers(m){
+  return (m.outliers?.length) ? m.outliers.map(id => `#${id}`).join(',') : 'none';
+}
+
+function __crackMatchOption(m, i){
+  const opt = document.createElement('option');
+  opt.value = String(i);
+  const base = (__lastCrackVersion === 'auto')
+    ? `${m.x} ${m.y} ${m.z}  [${__versionLabel(m.version)}]`
+    : `${m.x} ${m.y} ${m.z}`;
+  opt.textContent = (__lastCrackMatchMode === 'scored' && typeof m.score === 'number')
+    ? `${base}  (score=${m.score})`
+    : (__lastCrackMatchMode === 'outliers' && Array.isArray(m.outliers))
+      ? `${base}  (outliers: ${__formatOutliers(m)})`
+      : base;
+  return opt;
+}
+
+// Adds matches streamed from a running crack, keeping the current selection.
+function __appendCrackMatches(list){
+  if (!list.length) return;
+  const first = __lastCrackMatches.length === 0;
+  const start = __lastCrackMatches.length;
+  for (const m of list) __lastCrackMatches.push(m);
+  if (first || !el.crackMatchSelect) {
+    __populateCrackMatchSelect();
+    return;
+  }
+  for (let i = start; i < __lastCrackMatches.length; i++) {
+    el.crackMatchSelect.appendChild(__crackMatchOption(__lastCrackMatches[i], i));
+  }
+}
+
+// Re-selects `match` (by position) after the list was rebuilt, e.g. when a crack finishes.
+function __reselectCrackMatch(match){
+  if (!match || !el.crackMatchSelect) return;
+  const i = __lastCrackMatches.findIndex(m => m.x === match.x && m.y === match.y && m.z === match.z);
+  if (i < 0) return;
+  el.crackMatchSelect.value = String(i);
+  __updateCrackTpOutput(false);
+}
+
 function __selectedCrackMatch(){
   const sel = el.crackMatchSelect;
   if (!sel) return null;
@@ -5522,9 +6062,9 @@ function __computeCrackShift(match){
   const includeY = Boolean(el.crackTpIncludeY?.checked);
   const dx = (match.x|0) - (ref.x|0);
   const dz = (match.z|0) - (ref.z|0);
-  const vraw = String(__lastCrackVersion || 'post1_12');
-  const version = (vraw === 'post1_12' || vraw === 'postb1_5' || vraw === 'b1_6_tb3') ? vraw : 'post1_12';
-  const yIsFree = (version === 'post1_12');
+  const vraw = String(__crackMatchVersion(match) || 'post1_12');
+  const version = GF.hashById(vraw) ? vraw : 'post1_12';
+  const yIsFree = GF.versionIgnoresY(version);
 
   // In 1.8+ mode, the hash ignores Y entirely, so the "match Y" is just Y min.
   // When shifting Y, use the explicit Origin Y field.
@@ -5606,8 +6146,8 @@ function __shiftCameraByCrackMatch(){
 el.crackMatchSelect?.addEventListener('change', () => {
   // In 1.8+ mode, match Y is arbitrary; keep Origin Y in sync unless the user overrode it.
   try {
-    if (__lastCrackVersion === 'post1_12' && el.crackTpOriginY && !__crackTpYUserEdited) {
-      const m = __selectedCrackMatch();
+    const m = __selectedCrackMatch();
+    if (GF.versionIgnoresY(__crackMatchVersion(m)) && el.crackTpOriginY && !__crackTpYUserEdited) {
       const y = (m?.y ?? Math.round(num(el.crackYMin?.value, 62)));
       el.crackTpOriginY.value = String(Math.round(y));
     }
@@ -5636,6 +6176,531 @@ el.crackCopyTp?.addEventListener('click', async () => {
 // Initialize select state
 __populateCrackMatchSelect();
 
+// --- Held-out verification ---
+// Checks every match of the last crack against extra samples that weren't used for cracking
+// (GF.verifyMatch), so a true positive is confirmed without scanning again. Samples are given in
+// the editor's coordinates, like the cracked dataset.
+let __lastCrackRows = [];
+
+function __setCrackVerifyMsg(text, isError=false){
+  if (!el.crackVerifyMsg) return;
+  el.crackVerifyMsg.textContent = String(text ?? '');
+  el.crackVerifyMsg.classList.toggle('tp-error', Boolean(isError));
+}
+
+// Offsets as "x y z", with axes the sample can't observe shown as "-".
+function __formatVerifyOffsets(packed, mask){
+  return [0, 1, 2].map(axis => ((mask >>> (axis * 4)) & 15) ? String((packed >>> (axis * 4)) & 15) : '-').join(' ');
+}
+
+function __readVerifySamples(){
+  const rows = parseGrassDataStrict(el.crackVerifyData?.value || '');
+  // Ids are line numbers among the samples, so the report can point back at them.
+  return GF.rowsFromData(rows);
+}
+
+el.crackVerifyFromEditor?.addEventListener('click', () => {
+  const used = new Set(__lastCrackRows.map(r => `${r.pos.x},${r.pos.y},${r.pos.z}`));
+  const fresh = rowsFromGrasses().filter(r => !used.has(`${r.pos.x},${r.pos.y},${r.pos.z}`));
+  if (!fresh.length) {
+    __setCrackVerifyMsg('Every placed sample was part of the last crack. Place new ones first.', true);
+    return;
+  }
+  el.crackVerifyData.value = fresh
+    .map(r => `${r.pos.x} ${r.pos.y} ${r.pos.z}  ${r.packed & 15} ${(r.packed >> 4) & 15} ${(r.packed >> 8) & 15} ${r.kind}`)
+    .join('\n');
+  __setCrackVerifyMsg(`${fresh.length} placed sample(s) weren't part of the last crack.`);
+});
+
+el.crackVerifyRun?.addEventListener('click', () => {
+  if (!__lastCrackMatches.length || !__lastCrackRows.length) {
+    __setCrackVerifyMsg('Crack coordinates first.', true);
+    return;
+  }
+  let samples;
+  try {
+    samples = __readVerifySamples();
+    if (!samples.length) throw new Error('Add at least one sample that is not a cube.');
+  } catch (err) {
+    __setCrackVerifyMsg(String(err?.message || err), true);
+    return;
+  }
+
+  const origin = __lastCrackRows[0].pos;
+  const out = [];
+  let passed = 0;
+  for (const m of __lastCrackMatches) {
+    const version = __crackMatchVersion(m);
+    let res;
+    try {
+      res = GF.verifyMatch({ ...m, version }, samples, origin);
+    } catch (err) {
+      out.push(`ERROR  ${m.x} ${m.y} ${m.z}: ${err?.message || err}`);
+      continue;
+    }
+    if (res.pass) passed++;
+    const tag = (__lastCrackVersion === 'auto') ? `  [${__versionLabel(version)}]` : '';
+    out.push(`${res.pass ? 'PASS' : 'FAIL'} ${res.agree}/${samples.length}  ${m.x} ${m.y} ${m.z}${tag}`);
+    res.samples.forEach((r, i) => {
+      const s = samples[i];
+      const verdict = r.ok ? 'ok' : `wrong ${r.wrongAxes.join('')}`;
+      out.push(`    #${r.id} ${r.kind} at ${r.world.x} ${r.world.y} ${r.world.z}: expected ${__formatVerifyOffsets(s.packed, s.mask)}, predicted ${__formatVerifyOffsets(r.predicted, s.mask)}  ${verdict}`);
+    });
+  }
+  el.crackVerifyOut.value = out.join('\n');
+  __setCrackVerifyMsg(`${passed} of ${__lastCrackMatches.length} match(es) agree with all ${samples.length} held-out sample(s).`, passed === 0);
+});
+
+
+// --- Batch queue ---
+// Several datasets (e.g. screenshots from one video) cracked one after another, or interleaved:
+// then every job runs at once, paused except for one, and they take turns on the cores in
+// BATCH_SLICE_MS slices so each reports its nearby matches early. Jobs keep the crack panel's
+// settings from when they were added, plus their own matches, timing and status.
+const BATCH_SLICE_MS = 3000;
+
+const __batchJobs = [];
+let __batchNextId = 1;
+let __batchRunning = false;
+let __batchCancelled = false;
+let __batchLoadedId = null;
+let __batchRenderQueued = false;
+
+function __setBatchMsg(text, isError=false){
+  if (!el.batchMsg) return;
+  el.batchMsg.textContent = String(text ?? '');
+  el.batchMsg.classList.toggle('tp-error', Boolean(isError));
+}
+
+function __batchJobActive(job){
+  return job.status === 'running' || job.status === 'waiting';
+}
+
+// Time a job has had the cores so far.
+function __batchJobMs(job){
+  return job.activeMs + (job.activeSince != null ? performance.now() - job.activeSince : 0);
+}
+
+// Pauses or resumes a job, keeping its active time.
+function __setBatchJobTurn(job, running){
+  if (!__batchJobActive(job)) return;
+  if (running && job.status !== 'running') {
+    job.status = 'running';
+    job.activeSince = performance.now();
+    job.pause.resume();
+  } else if (!running && job.status !== 'waiting') {
+    job.status = 'waiting';
+    job.activeMs = __batchJobMs(job);
+    job.activeSince = null;
+    job.pause.pause();
+  }
+}
+
+function __scheduleBatchRender(){
+  if (__batchRenderQueued) return;
+  __batchRenderQueued = true;
+  requestAnimationFrame(() => {
+    __batchRenderQueued = false;
+    __renderBatchTable();
+  });
+}
+
+function __renderBatchTable(){
+  if (!el.batchRows) return;
+  el.batchTable?.classList.toggle('hidden', __batchJobs.length === 0);
+  el.batchRows.innerHTML = '';
+  for (const job of __batchJobs) {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('is-loaded', job.id === __batchLoadedId);
+    const version = job.params.version;
+    const pct = (job.status === 'running' && job.total) ? ` ${(job.done / job.total * 100).toFixed(1)}%` : '';
+    const cells = [
+      job.name,
+      (version === 'auto') ? 'unknown' : __versionLabel(version),
+      `${job.status}${pct}`,
+      String(job.matches.length),
+      (job.status === 'queued') ? '' : `${(__batchJobMs(job) / 1000).toFixed(1)} s`,
+    ];
+    for (const text of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    if (job.warning) tr.title = job.warning;
+
+    const actions = document.createElement('td');
+    const load = document.createElement('button');
+    load.type = 'button';
+    load.textContent = 'Load';
+    load.title = "Place this job's dataset in the editor and list its matches in the /tp helper";
+    load.dataset.action = 'load';
+    load.dataset.job = String(job.id);
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.disabled = __batchJobActive(job);
+    remove.dataset.action = 'remove';
+    remove.dataset.job = String(job.id);
+    actions.append(load, ' ', remove);
+    tr.appendChild(actions);
+    el.batchRows.appendChild(tr);
+  }
+  __syncBatchButtons();
+}
+
+function __syncBatchButtons(){
+  const queued = __batchJobs.some(j => j.status === 'queued');
+  if (el.batchRun) el.batchRun.disabled = __batchRunning || !queued;
+  if (el.batchCancel) el.batchCancel.disabled = !__batchRunning;
+  if (el.batchClear) el.batchClear.disabled = !__batchJobs.some(j => !__batchJobActive(j));
+}
+
+// Cracks one job to the end. Interleaved runs pass `startPaused` for every job but the first.
+async function __runBatchJob(job, startPaused = false){
+  job.abort = new AbortController();
+  job.pause = GF.createPauseController();
+  job.status = 'running';
+  job.activeSince = performance.now();
+  job.matches = [];
+  job.warning = null;
+  if (startPaused) __setBatchJobTurn(job, false);
+  __scheduleBatchRender();
+  try {
+    const res = await GF.crack({
+      ...job.params,
+      rows: job.rows,
+      signal: job.abort.signal,
+      pause: job.pause,
+      onProgress: ({ done, total, newMatches }) => {
+        job.done = done;
+        job.total = total;
+        if (newMatches?.length) job.matches.push(...newMatches);
+        __scheduleBatchRender();
+      },
+    });
+    job.matches = res.matches;
+    job.warning = res.warning || null;
+    job.settings = res.settings ?? null;
+    job.status = res.cancelled ? 'cancelled' : 'done';
+  } catch (err) {
+    console.error(err);
+    job.warning = String(err?.message || err);
+    job.status = 'error';
+  } finally {
+    job.activeMs = __batchJobMs(job);
+    job.activeSince = null;
+    job.abort = null;
+    job.pause = null;
+    // A loaded job's matches replace the /tp list, unless the crack panel has taken it over.
+    if (job.id === __batchLoadedId && !__crackAbort) __showBatchJobMatches(job);
+    __scheduleBatchRender();
+  }
+}
+
+async function __runBatchQueue(){
+  const jobs = __batchJobs.filter(j => j.status === 'queued');
+  if (!jobs.length) return;
+  const interleaved = (el.batchMode?.value === 'interleaved') && jobs.length > 1;
+  __batchRunning = true;
+  __batchCancelled = false;
+  __syncBatchButtons();
+  __setBatchMsg(`Running ${jobs.length} job(s)${interleaved ? ', interleaved' : ''}...`);
+  const t0 = performance.now();
+  try {
+    if (interleaved) {
+      // Round-robin: hand the cores to the next unfinished job every slice.
+      let turn = 0;
+      const timer = setInterval(() => {
+        const active = jobs.filter(__batchJobActive);
+        if (active.length < 2) return;
+        turn = (turn + 1) % active.length;
+        active.forEach((j, i) => { if (i !== turn) __setBatchJobTurn(j, false); });
+        __setBatchJobTurn(active[turn], true);
+        __scheduleBatchRender();
+      }, BATCH_SLICE_MS);
+      // A finished job passes its turn on right away.
+      const handOver = () => {
+        const active = jobs.filter(__batchJobActive);
+        if (active.length && !active.some(j => j.status === 'running')) {
+          turn = 0;
+          __setBatchJobTurn(active[0], true);
+        }
+      };
+      try {
+        await Promise.all(jobs.map((job, i) => __runBatchJob(job, i > 0).then(handOver)));
+      } finally {
+        clearInterval(timer);
+      }
+    } else {
+      for (const job of jobs) {
+        if (__batchCancelled) break;
+        await __runBatchJob(job);
+      }
+    }
+    const failed = jobs.filter(j => j.status === 'error').length;
+    const dt = (performance.now() - t0) / 1000;
+    __setBatchMsg(__batchCancelled
+      ? `Cancelled after ${dt.toFixed(1)} s.`
+      : `Finished ${jobs.length} job(s) in ${dt.toFixed(1)} s${failed ? ` (${failed} failed)` : ''}.`, failed > 0);
+  } finally {
+    __batchRunning = false;
+    __scheduleBatchRender();
+  }
+}
+
+// Shows a job's matches in the crack output and the /tp helper. The helper measures its shift
+// from the first placed sample, so this goes with loading the job's dataset into the editor.
+function __showBatchJobMatches(job){
+  const { version, matchMode } = job.params;
+  __lastCrackMatches = job.matches.slice();
+  __lastCrackRows = job.rows;
+  __lastCrackMatchMode = matchMode;
+  __lastCrackVersion = version;
+  __crackTpYUserEdited = false;
+  __populateCrackMatchSelect();
+  const lines = job.matches.map(m => __formatCrackMatch(m, version, matchMode));
+  const warning = job.warning ? `WARNING: ${job.warning}\n\n` : '';
+  el.crackOut.value = warning + (lines.join('\n') || (job.status === 'queued' ? '(not cracked yet)' : '(no matches)'));
+}
+
+function __loadBatchJob(job){
+  if (__crackAbort) {
+    __setBatchMsg('A crack is running in the crack panel; wait for it or cancel it first.', true);
+    return;
+  }
+  const skipped = loadGrassRows(job.parsed);
+  __batchLoadedId = job.id;
+  __showBatchJobMatches(job);
+  el.crackStatus.textContent = `Loaded job "${job.name}": ${job.rows.length} samples, ${job.matches.length} match(es).`;
+  __setBatchMsg(skipped ? `Loaded "${job.name}" (${skipped} entries skipped: block already occupied).` : `Loaded "${job.name}".`, skipped > 0);
+  __renderBatchTable();
+}
+
+el.batchFromEditor?.addEventListener('click', () => {
+  const lines = exportOffsetLines();
+  if (!lines.length) {
+    __setBatchMsg('Place some samples first.', true);
+    return;
+  }
+  el.batchData.value = lines.join('\n');
+  __setBatchMsg('');
+});
+
+el.batchAdd?.addEventListener('click', () => {
+  let job;
+  try {
+    const parsed = parseGrassDataStrict(el.batchData?.value || '');
+    const rows = GF.rowsFromData(parsed);
+    if (rows.length < 2) throw new Error('A job needs at least 2 samples.');
+    const id = __batchNextId++;
+    job = {
+      id,
+      name: String(el.batchName?.value || '').trim() || `job ${id}`,
+      parsed,
+      rows,
+      params: __readCrackParams(),
+      status: 'queued',
+      matches: [],
+      warning: null,
+      settings: null,
+      done: 0,
+      total: 0,
+      activeMs: 0,
+      activeSince: null,
+      abort: null,
+      pause: null,
+    };
+  } catch (err) {
+    __setBatchMsg(String(err?.message || err), true);
+    return;
+  }
+  __batchJobs.push(job);
+  el.batchData.value = '';
+  if (el.batchName) el.batchName.value = '';
+  __setBatchMsg(`Added "${job.name}" (${job.rows.length} samples).`);
+  __renderBatchTable();
+});
+
+el.batchRun?.addEventListener('click', () => {
+  __runBatchQueue().catch(err => {
+    console.error(err);
+    __setBatchMsg(String(err?.message || err), true);
+  });
+});
+
+el.batchCancel?.addEventListener('click', () => {
+  __batchCancelled = true;
+  for (const job of __batchJobs) job.abort?.abort();
+});
+
+el.batchClear?.addEventListener('click', () => {
+  for (let i = __batchJobs.length - 1; i >= 0; i--) {
+    if (!__batchJobActive(__batchJobs[i])) __batchJobs.splice(i, 1);
+  }
+  if (!__batchJobs.some(j => j.id === __batchLoadedId)) __batchLoadedId = null;
+  __renderBatchTable();
+});
+
+el.batchRows?.addEventListener('click', (ev) => {
+  const btn = ev.target.closest('button[data-action]');
+  if (!btn) return;
+  const i = __batchJobs.findIndex(j => String(j.id) === btn.dataset.job);
+  if (i < 0) return;
+  const job = __batchJobs[i];
+  if (btn.dataset.action === 'load') {
+    __loadBatchJob(job);
+  } else if (btn.dataset.action === 'remove' && !__batchJobActive(job)) {
+    __batchJobs.splice(i, 1);
+    if (job.id === __batchLoadedId) __batchLoadedId = null;
+    __renderBatchTable();
+  }
+});
+
+// --- Predicted field ---
+// Ghost foliage at the offsets the selected match predicts for every block around the first
+// cracked sample, so whole meadows can be compared with the screenshot instead of only the
+// placed samples. Blocks holding a placed sample are skipped.
+const PREDICTED_FIELD_MAX_RADIUS = 24;
+let __predictedFieldShown = false;
+
+function __setCrackFieldMsg(text, isError=false){
+  if (!el.crackFieldMsg) return;
+  el.crackFieldMsg.textContent = String(text ?? '');
+  el.crackFieldMsg.classList.toggle('tp-error', Boolean(isError));
+}
+
+function __populateCrackFieldKinds(){
+  const sel = el.crackFieldKind;
+  if (!sel) return;
+  sel.innerHTML = '';
+  for (const grp of FOLIAGE.groups) {
+    const og = document.createElement('optgroup');
+    og.label = grp.label;
+    // The cube has no render offset, so there's nothing to predict.
+    for (const it of grp.items.filter(it => it.id !== 'CUBE')) {
+      const opt = document.createElement('option');
+      opt.value = it.id;
+      opt.textContent = it.label;
+      og.appendChild(opt);
+    }
+    sel.appendChild(og);
+  }
+  sel.value = 'SHORT_GRASS';
+}
+
+function clearPredictedField(){
+  for (const mesh of [...predictedFieldGroup.children]) {
+    predictedFieldGroup.remove(mesh);
+    // Best-effort dispose (materials are the shared placement materials).
+    mesh.traverse(obj => {
+      if (obj.isMesh && obj.geometry) obj.geometry.dispose?.();
+    });
+  }
+  __predictedFieldShown = false;
+  try { requestRender(); } catch (_) {}
+}
+
+function showPredictedField(){
+  const match = __selectedCrackMatch();
+  if (!match || !__lastCrackRows.length) throw new Error('Crack coordinates and pick a match first.');
+  const kind = FOLIAGE.byId.has(el.crackFieldKind?.value) ? el.crackFieldKind.value : 'SHORT_GRASS';
+  const radius = clamp(Math.round(num(el.crackFieldRadius?.value, 8)), 0, PREDICTED_FIELD_MAX_RADIUS);
+  const origin = __lastCrackRows[0].pos;
+  const yRaw = String(el.crackFieldY?.value ?? '').trim();
+  const y = yRaw ? Math.round(num(yRaw, origin.y)) : origin.y;
+  const version = __crackMatchVersion(match);
+
+  clearPredictedField();
+  let count = 0;
+  for (let dz = -radius; dz <= radius; dz++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const block = { x: origin.x + dx, y, z: origin.z + dz };
+      if (occupiedByBlock.has(keyForBlock(block))) continue;
+      const p = GF.packedGrassOffset(match.x + block.x - origin.x, match.y + y - origin.y, match.z + block.z - origin.z, version);
+      const oy = isYOffsetLocked(kind) ? 15 : (p >> 4) & 15;
+      const off = offsetToVec3ForKind(kind, p & 15, oy, (p >> 8) & 15);
+      const mesh = makePlacementPreviewMesh(kind);
+      mesh.userData.__predictedField = true;
+      mesh.position.set(block.x + off.x, block.y + off.y, block.z + off.z);
+      predictedFieldGroup.add(mesh);
+      count++;
+    }
+  }
+  __predictedFieldShown = true;
+  try { requestRender(); } catch (_) {}
+  return count;
+}
+
+function __refreshPredictedField(){
+  try {
+    const n = showPredictedField();
+    const m = __selectedCrackMatch();
+    __setCrackFieldMsg(`${n} ghost(s) predicted for ${m.x} ${m.y} ${m.z}.`);
+  } catch (err) {
+    clearPredictedField();
+    __setCrackFieldMsg(String(err?.message || err), true);
+  }
+}
+
+el.crackFieldShow?.addEventListener('click', __refreshPredictedField);
+el.crackFieldClear?.addEventListener('click', () => {
+  clearPredictedField();
+  __setCrackFieldMsg('');
+});
+// Follow the picked match while the field is shown.
+el.crackMatchSelect?.addEventListener('change', () => {
+  if (__predictedFieldShown) __refreshPredictedField();
+});
+
+__populateCrackFieldKinds();
+
+// --- Cracker self-test ---
+// Runs GF.selfTest() on synthetic datasets and lists every solver path with its timing.
+function __setSelfTestMsg(text, isError=false){
+  if (!el.selfTestMsg) return;
+  el.selfTestMsg.textContent = String(text ?? '');
+  el.selfTestMsg.classList.toggle('tp-error', Boolean(isError));
+}
+
+el.selfTestRun?.addEventListener('click', async () => {
+  const seedText = String(el.selfTestSeed?.value ?? '').trim();
+  const seed = seedText ? Number(seedText) : undefined;
+  if (seedText && !(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32)) {
+    __setSelfTestMsg('Seed must be a whole number from 0 to 4294967295 (or empty for a random one).', true);
+    return;
+  }
+  el.selfTestRun.disabled = true;
+  el.selfTestOut.value = '';
+  __setSelfTestMsg('Running...');
+  const lines = [];
+  try {
+    const res = await GF.selfTest({
+      samples: el.selfTestSamples?.value,
+      noise: el.selfTestNoise?.value,
+      seed,
+      lattice: Boolean(el.selfTestLattice?.checked),
+      onResult: (r) => {
+        const label = __versionLabel(r.version);
+        const note = r.skipped ? `  ${r.warning}`
+          : r.ok ? `  ${r.scanners.join(' + ') || r.engine}`
+          : `  expected ${r.hidden.x} ${r.hidden.y} ${r.hidden.z}${r.warning ? ` - ${r.warning}` : ''}`;
+        lines.push(`${r.skipped ? 'SKIP' : r.ok ? 'PASS' : 'FAIL'}  ${label.padEnd(18)} ${r.path.padEnd(17)} ${r.matchMode.padEnd(8)} ${r.ms.toFixed(0).padStart(6)} ms  ${r.matches} match(es)${note}`);
+        el.selfTestOut.value = lines.join('\n');
+      },
+    });
+    const failed = res.results.filter(r => !r.ok && !r.skipped).length;
+    const skipped = res.results.filter(r => r.skipped).length;
+    const skipNote = skipped ? `, ${skipped} skipped` : '';
+    __setSelfTestMsg(res.pass
+      ? `All ${res.results.length - skipped} paths run recovered the hidden position on their engine (seed ${res.seed}${skipNote}).`
+      : `${failed} of ${res.results.length} paths failed (seed ${res.seed}${skipNote}).`, !res.pass);
+  } catch (err) {
+    console.error(err);
+    __setSelfTestMsg(String(err?.message || err), true);
+  } finally {
+    el.selfTestRun.disabled = false;
+  }
+});
 
 el.clearGrass.addEventListener('click', () => {
   el.exportBox.value = '';
@@ -5795,430 +6860,19 @@ function pickBlockOnGround(e){
 }
 
 
-// --- Coordinate cracking (grassfinder logic, adapted to browser) ---
-const GF = (() => {
-  // Vanilla formula (b1.7.3 BlockRenderer / later MathHelper):
-  //   long l = (x*3129871) ^ (z*116129781L) ^ y;
-  //   l = l*l*42317861L + l*11L;
-  // Offsets use bits 16..27 of l.
-  //
-  // Those bits live in the low 32 bits, and the low 32 bits depend only on the low 32 bits
-  // of intermediate results. So we can compute the packed offset using fast 32-bit Math.imul
-  // instead of BigInt-heavy 64-bit math.
-  const X_MULT = 0x2fc20f | 0;    // 3129871
-  const Z_MULT = 0x6ebfff5 | 0;   // 116129781
-  // b1.6-tb3 special-case (RenderBlocks seed uses + z*6129781 instead of ^ z*116129781L)
-  const Z_MULT_TB3 = 0x5d270d | 0; // 6129781
-  const LCG_MULT = 0x285b825 | 0; // 42317861
-  const LCG_ADDEND = 11 | 0;
-
-  function packedGrassOffset(x, y, z, version){
-    // This cracker only needs bits 16..27 of the 64-bit long.
-    // Those bits live in the low 32 bits, and the low 32 bits depend only on the low 32 bits
-    // of intermediate results. So we can compute the packed offset using fast 32-bit Math.imul.
-    const yy = (version === 'post1_12') ? 0 : (y | 0);
-
-    // Vanilla (b1.7.3 / 1.8+):
-    //   long l = (long)(x*3129871) ^ ((long)z*116129781L) ^ (long)y;
-    // b1.6-tb3:
-    //   long l = (long)(x*3129871 + z*6129781 + y);
-    const xi = x | 0;
-    const zi = z | 0;
-    const xTerm = Math.imul(xi, X_MULT) | 0;
-    let l = 0;
-    if (version === 'b1_6_tb3') {
-      const zTerm = Math.imul(zi, Z_MULT_TB3) | 0;
-      l = (xTerm + zTerm + (yy|0)) | 0;
-    } else {
-      const zTerm = Math.imul(zi, Z_MULT) | 0;
-      l = (xTerm ^ zTerm ^ (yy|0)) | 0;
-    }
-
-    // l = l*l*42317861L + l*11L (low 32 bits only)
-    const ll = Math.imul(l, l) | 0;
-    l = (Math.imul(ll, LCG_MULT) + Math.imul(l, LCG_ADDEND)) | 0;
-
-    return (l >>> 16) & 0xFFF;
-  }
-
-  // --- Pointed dripstone equivalence handling ---
-  // In vanilla, pointed dripstone's final X/Z positions clamp such that indices 0..3 are
-  // indistinguishable (all behave like "negative edge") and 12..15 are indistinguishable
-  // ("positive edge"). The cracker must treat those as equivalence classes, otherwise
-  // real-world data can produce zero matches.
-  function dripstoneNibbleMatches(pred, expected){
-    const p = pred & 15;
-    const e = expected & 15;
-    if (e <= 3) return p <= 3;
-    if (e >= 12) return p >= 12;
-    return p === e;
-  }
-
-  function dripstoneNibbleDistance(pred, expected){
-    const p = pred & 15;
-    const e = expected & 15;
-    if (e <= 3) {
-      // distance to nearest of {0,1,2,3}
-      if (p <= 3) return 0;
-      return p - 3;
-    }
-    if (e >= 12) {
-      // distance to nearest of {12,13,14,15}
-      if (p >= 12) return 0;
-      return 12 - p;
-    }
-    return Math.abs(p - e);
-  }
-
-  // Score a predicted packed offset against an expected packed offset.
-  // `mask` is a 12-bit nibble mask: if an axis nibble is 0, that axis is ignored.
-  // This is used to support blocks like tall grass (OffsetType.XZ) where Y is unobservable.
-  //
-  // Pointed dripstone note:
-  // Vanilla generates offsets on the standard 0..15 grid and then clamps the *final* position.
-  // That means the underlying nibble indices 0..3 are indistinguishable (all clamp to -1/8),
-  // and 12..15 are indistinguishable (all clamp to +1/8). When cracking, we must therefore
-  // treat those index ranges as equivalence classes rather than exact values.
-
-  function scorePacked(predPacked, expectedPacked, mask, tol, isDripstone){
-    // tol in {0,1,2}
-    let score = 0;
-    const drip = !!isDripstone;
-    for (let axis = 0; axis < 3; axis++) {
-      const nibMask = (mask >> (axis * 4)) & 15;
-      if (nibMask === 0) continue;
-      const p = (predPacked >> (axis * 4)) & 15;
-      const e = (expectedPacked >> (axis * 4)) & 15;
-      const d = (drip && axis !== 1) ? dripstoneNibbleDistance(p, e) : Math.abs(p - e);
-      if (d <= tol) score += d;
-      else score += d * d;
-    }
-    return score;
-  }
-
-  function rowsFromGrasses(){
-    // Exclude visual-only reference blocks (like the cube) from cracking datasets.
-    const ordered = [...grasses.values()]
-      .filter(g => String(g?.kind || '') !== 'CUBE')
-      .sort((a,b)=>a.id-b.id);
-    return ordered.map(g => ({
-      pos: { x: g.block.x|0, y: g.block.y|0, z: g.block.z|0 },
-      kind: g.kind,
-      isDripstone: isPointedDripstone(g.kind),
-      // For tall grass (OffsetType.XZ), Y is not observable in-game.
-      // We keep a 12-bit mask so the solver can ignore Y constraints for tall grass samples.
-      mask: foliageMaskFor(FOLIAGE.byId.get(g.kind)?.offsetType ?? 'XYZ'),
-      packed: ((g.off.x|0) | ((g.off.y|0) << 4) | ((g.off.z|0) << 8)) >>> 0,
-    }));
-  }
-  // --- Worker implementation (optional) ---
-  // External module worker (WASM-backed). Create ./grassfinder_worker.js next to main.js.
-  function getWorkerURL(){
-    return new URL('./grassfinder_worker.js', import.meta.url);
-  }
-
-  async function crack({
-    centerX, centerZ, radius, yMin, yMax, version,
-    matchMode='strict',
-    tolerance=1,
-    maxScore=6,
-    maxResults=50,
-    useWorkers=true,
-    onProgress
-  }){
-    const rows = rowsFromGrasses();
-    if (rows.length < 2) {
-      return { matches: [], warning: 'Add at least 2 blocks to crack coordinates.' };
-    }
-
-    const mode = (matchMode === 'scored') ? 'scored' : 'strict';
-    const tol = clamp(Math.round(Number(tolerance)), 0, 2);
-    const MAX_SCORE = Math.max(0, (maxScore|0) || 0);
-    const MAX_RESULTS = Math.max(1, (maxResults|0) || 1);
-
-    const recorigin = rows[0].pos;
-    let rel = rows.map(r => ({
-      dx: (r.pos.x - recorigin.x) | 0,
-      dy: (r.pos.y - recorigin.y) | 0,
-      dz: (r.pos.z - recorigin.z) | 0,
-      isDripstone: !!r.isDripstone,
-      mask: (r.mask & 0xFFF) >>> 0,
-      // Mask expected packed so ignored axes don't accidentally constrain results.
-      packed: (r.packed & r.mask & 0xFFF) >>> 0,
-    }));
-
-    // Check farthest samples first for early mismatch exit.
-    rel = rel.sort((a,b) => (Math.abs(b.dx)+Math.abs(b.dz)+Math.abs(b.dy)) - (Math.abs(a.dx)+Math.abs(a.dz)+Math.abs(a.dy)));
-
-    // Convert rel samples to tight typed arrays for faster hot-loop access and cheaper worker transfer.
-    const relLen = rel.length | 0;
-    const relDx = new Int32Array(relLen);
-    const relDy = new Int32Array(relLen);
-    const relDz = new Int32Array(relLen);
-    const relPacked = new Uint16Array(relLen);
-    const relMask = new Uint16Array(relLen);
-    const relDrip = new Uint8Array(relLen);
-    for (let i=0;i<relLen;i++){
-      const r = rel[i];
-      relDx[i] = r.dx | 0;
-      relDy[i] = r.dy | 0;
-      relDz[i] = r.dz | 0;
-      relPacked[i] = (r.packed & 0xFFF) >>> 0;
-      relMask[i] = (r.mask & 0xFFF) >>> 0;
-      relDrip[i] = r.isDripstone ? 1 : 0;
-    }
-
-    const x0 = Math.floor(centerX - radius);
-    const x1 = Math.floor(centerX + radius);
-    const z0 = Math.floor(centerZ - radius);
-    const z1 = Math.floor(centerZ + radius);
-    const yy0 = Math.floor(Math.min(yMin, yMax));
-    const yy1 = Math.floor(Math.max(yMin, yMax));
-
-    const post1_12_anyY = (version === 'post1_12');
-    const total = (x1-x0+1) * (z1-z0+1) * (post1_12_anyY ? 1 : (yy1-yy0+1));
-
-    const MAX_MATCHES = 2000;
-
-    // --- Fast path: Web Workers ---
-    const wantWorkers = !!useWorkers && !!window.Worker;
-    const hw = Math.max(1, Math.min(16, (navigator.hardwareConcurrency|0) || 1));
-    const xCount = (x1 - x0 + 1);
-
-    // Old versions (b1.5-1.12) do far more work because Y affects offsets.
-    // Cap worker count to 4 to keep overhead low and match the newer-cracker style.
-    const targetWorkers = (version !== 'post1_12') ? 4 : hw;
-    const nWorkers = wantWorkers ? Math.max(1, Math.min(targetWorkers, hw, xCount)) : 1;
-
-    if (wantWorkers && nWorkers > 1) {
-      const url = getWorkerURL();
-      const workers = [];
-      const jobIdBase = (Math.random()*1e9)|0;
-
-      const stripes = [];
-      const base = Math.floor(xCount / nWorkers);
-      let rem = xCount % nWorkers;
-      let cur = x0;
-      for (let i=0;i<nWorkers;i++){
-        const w = base + (rem>0 ? 1 : 0);
-        if (rem>0) rem--;
-        const xs = cur;
-        const xe = cur + w - 1;
-        cur = xe + 1;
-        stripes.push({ xs, xe });
-      }
-
-      const progress = new Array(nWorkers).fill(0);
-      const totals = new Array(nWorkers).fill(0);
-      const matchesAll = [];
-      let hitCap = false;
-
-      function emitProgress(){
-        if (!onProgress) return;
-        const done = progress.reduce((a,b)=>a+b,0);
-        const tot = totals.reduce((a,b)=>a+b,0) || total;
-        onProgress({ done, total: tot, matches: matchesAll.length });
-      }
-
-      const promises = stripes.map((s, idx) => new Promise((resolve, reject) => {
-        const w = new Worker(url, { type: 'module' });
-        workers.push(w);
-
-        w.onmessage = (ev) => {
-          const msg = ev.data;
-          if (!msg || msg.jobId !== (jobIdBase + idx)) return;
-          if (msg.type === 'progress'){
-            // Don't coerce progress counters to int32. Large radii can overflow signed 32-bit
-            // and make the displayed percentage go backwards.
-            progress[idx] = Number(msg.done);
-            totals[idx] = Number(msg.total);
-            emitProgress();
-            return;
-          }
-          if (msg.type === 'done'){
-            progress[idx] = Number(msg.done);
-            totals[idx] = Number(msg.total);
-
-            if (!hitCap) {
-              for (const m of msg.matches){
-                matchesAll.push(m);
-                if (matchesAll.length >= MAX_MATCHES) { hitCap = true; break; }
-              }
-            }
-
-            if (msg.hitCap) hitCap = true;
-
-            emitProgress();
-            resolve();
-            return;
-          }
-        };
-
-        w.onerror = (e) => reject(e);
-
-        w.postMessage({
-          jobId: jobIdBase + idx,
-          x0: s.xs, x1: s.xe,
-          z0, z1,
-          y0: yy0, y1: yy1,
-          version,
-          relDx,
-          relDy,
-          relDz,
-          relPacked,
-          relMask,
-          relDrip,
-          maxMatches: MAX_MATCHES,
-          post1_12_anyY,
-          mode,
-          tol,
-          maxScore: MAX_SCORE
-        });
-      }));
-
-      try {
-        await Promise.all(promises);
-      } finally {
-        for (const w of workers) w.terminate();
-      }
-
-      const warning =
-        hitCap ? `Hit the cap of ${MAX_MATCHES} matches. Reduce radius / tighten inputs.` :
-        (post1_12_anyY && yy1 !== yy0) ? `` :
-        null;
-
-      if (mode === 'scored') {
-        matchesAll.sort((a,b)=> (a.score-b.score) || (a.x-b.x) || (a.z-b.z) || (a.y-b.y));
-        return { matches: matchesAll.slice(0, MAX_RESULTS), warning };
-      }
-
-      // Keep deterministic order (x then z then y).
-      matchesAll.sort((a,b)=> (a.x-b.x) || (a.z-b.z) || (a.y-b.y));
-      return { matches: matchesAll, warning };
-    }
-
-    // --- Fallback: single-threaded chunked scan (still optimized) ---
-    function checkAt(x,y,z){
-      let score = 0;
-      for (let i=0;i<relLen;i++){
-        const ax = x + relDx[i];
-        const ay = y + relDy[i];
-        const az = z + relDz[i];
-        const p = packedGrassOffset(ax, ay, az, version);
-
-        if (mode === 'strict') {
-          // Pointed dripstone edge indices are ambiguous (0..3 and 12..15 collapse).
-          // Treat them as equivalence classes during matching.
-          const isDrip = !!relDrip[i];
-          if (!isDrip) {
-            if ((p & relMask[i]) !== relPacked[i]) return -1;
-          } else {
-            // Per-axis strict match with plateau equivalence on X/Z.
-            for (let axis = 0; axis < 3; axis++) {
-              const nibMask = (relMask[i] >> (axis * 4)) & 15;
-              if (nibMask === 0) continue;
-              const pn = (p >> (axis * 4)) & 15;
-              const en = (relPacked[i] >> (axis * 4)) & 15;
-              if (axis === 1) { if (pn !== en) return -1; }
-              else { if (!dripstoneNibbleMatches(pn, en)) return -1; }
-            }
-          }
-        } else {
-          score += scorePacked(p, relPacked[i], relMask[i], tol, relDrip[i]);
-          if (score > MAX_SCORE) return -1;
-        }
-      }
-      return score|0;
-    }
-
-    let done = 0;
-    const matches = [];
-
-    // Chunked scan to keep UI responsive.
-    let cy = yy0, cz = z0, cx = x0;
-    const CHUNK = 12000;
-
-    return new Promise(resolve => {
-      function step(){
-        let n = 0;
-
-        if (post1_12_anyY){
-          const y = yy0; // representative
-          while (n < CHUNK && cz <= z1){
-            const s = checkAt(cx, y, cz);
-            if (s >= 0) {
-              if (mode === 'scored') matches.push({ x: cx, y, z: cz, score: s });
-              else matches.push({ x: cx, y, z: cz });
-              if (matches.length >= MAX_MATCHES) {
-                resolve({ matches, warning: `Hit the cap of ${MAX_MATCHES} matches. Reduce radius / tighten inputs.` });
-                return;
-              }
-            }
-
-            done++; n++;
-            cx++;
-            if (cx > x1){ cx = x0; cz++; }
-
-            if (onProgress && (done % 50000 === 0)) onProgress({ done, total, matches: matches.length });
-          }
-
-          if (onProgress) onProgress({ done, total, matches: matches.length });
-
-          if (cz > z1) {
-            const warning = (yy1 !== yy0)
-              ? ``
-              : null;
-            if (mode === 'scored') {
-              matches.sort((a,b)=> (a.score-b.score) || (a.x-b.x) || (a.z-b.z) || (a.y-b.y));
-              resolve({ matches: matches.slice(0, MAX_RESULTS), warning });
-            } else {
-              resolve({ matches, warning });
-            }
-            return;
-          }
-
-          requestAnimationFrame(step);
-          return;
-        }
-
-        while (n < CHUNK && cy <= yy1){
-          const s = checkAt(cx, cy, cz);
-          if (s >= 0) {
-            if (mode === 'scored') matches.push({ x: cx, y: cy, z: cz, score: s });
-            else matches.push({ x: cx, y: cy, z: cz });
-            if (matches.length >= MAX_MATCHES) {
-              resolve({ matches, warning: `Hit the cap of ${MAX_MATCHES} matches. Reduce radius / tighten inputs.` });
-              return;
-            }
-          }
-
-          done++; n++;
-          cx++;
-          if (cx > x1){ cx = x0; cz++; }
-          if (cz > z1){ cz = z0; cy++; }
-
-          if (onProgress && (done % 50000 === 0)) onProgress({ done, total, matches: matches.length });
-        }
-
-        if (onProgress) onProgress({ done, total, matches: matches.length });
-
-        if (cy > yy1) {
-          if (mode === 'scored') {
-            matches.sort((a,b)=> (a.score-b.score) || (a.x-b.x) || (a.z-b.z) || (a.y-b.y));
-            resolve({ matches: matches.slice(0, MAX_RESULTS), warning: null });
-          } else {
-            resolve({ matches, warning: null });
-          }
-          return;
-        }
-        requestAnimationFrame(step);
-      }
-      requestAnimationFrame(step);
-    });
-  }
+// --- Coordinate cracking ---
+// The solver lives in grassfinder.js (imported as GF); the editor hands it its placed samples.
+function rowsFromGrasses(){
+  // Exclude visual-only reference blocks (like the cube) from cracking datasets.
+  const ordered = [...grasses.values()]
+    .filter(g => String(g?.kind || '') !== 'CUBE')
+    .sort((a,b)=>a.id-b.id);
+  return ordered.map(g => GF.sampleRow(g.id, g.block, g.kind, g.off));
+}
 
-  return { crack };
-})();
+// The Version dropdown lists GF's hash registry (built-ins plus the saved custom formulas).
+__populateCrackVersions();
+__loadCustomHashes();
 
 
 // --- Placement mode (right-click to start, right-click to confirm) ---
@@ -0,0 +1,11 @@
+#!/bin/sh
+# Builds both WASM packages the worker can load (needs wasm-pack and the
+# wasm32-unknown-unknown target):
+#   pkg       portable build, runs everywhere
+#   pkg-simd  the same crate with wasm simd128, used where the engine supports it
+set -e
+cd "$(dirname "$0")/grassfinder_wasm"
+wasm-pack build --release --target web --out-dir ../pkg
+RUSTFLAGS="-C target-feature=+simd128" wasm-pack build --release --target web --out-dir ../pkg-simd
+# wasm-pack ignores its output by default; both packages are committed.
+rm -f ../pkg/.gitignore ../pkg-simd/.gitignore
@@ -1,29 +1,160 @@
 use wasm_bindgen::prelude::*;
 use js_sys::Int32Array;
 
-#[inline(always)]
-fn packed_offset_12bit(x: i32, y: i32, z: i32, post1_12: bool) -> u16 {
-    // Vanilla:
-    // long l = (long)(x * 3129871) ^ ((long)z * 116129781L) ^ (long)y;
-    // l = l*l*42317861L + l*11L;
-    // return (l >>> 16) & 0xFFF;
-    let yy = if post1_12 { 0 } else { y };
+/// Seed formula selector for `scan_*_box`.
+///   0 = XOR (b1.7.3+ / 1.8+): l = (x*3129871) ^ (z*116129781L) ^ y
+///   1 = ADD (b1.6-tb3 RenderBlocks): l = (x*3129871 + z*6129781 + y)
+pub const SEED_XOR: u8 = 0;
+pub const SEED_ADD: u8 = 1;
+
+/// Offset hash definition (see grassfinder_hash.js):
+///   seed:   l = (x*x_mult) ^ (z*z_mult) ^ y   or   l = x*x_mult + z*z_mult + y  (`add`)
+///           (y is 0 when `ignore_y` is set)
+///   mix:    l = l*l*lcg_mult + l*lcg_add
+///   offset: (l >>> shift) & 0xFFF
+/// Only the low 32 bits of l reach the offset (shift <= 20), so everything wraps as i32.
+#[derive(Clone, Copy)]
+struct Hash {
+    x_mult: i32,
+    z_mult: i32,
+    add: bool,
+    ignore_y: bool,
+    lcg_mult: i32,
+    lcg_add: i32,
+    shift: u32,
+}
+
+const MAX_HASH_SHIFT: i32 = 20;
+
+impl Hash {
+    /// The built-in hashes behind `seed_formula`; Y is ignored exactly when `any_y` is set.
+    fn builtin(seed_formula: u8, any_y: bool) -> Result<Hash, &'static str> {
+        let z_mult = match seed_formula {
+            SEED_XOR => 116_129_781,
+            SEED_ADD => 6_129_781,
+            _ => return Err("Unknown seed formula."),
+        };
+        Ok(Hash {
+            x_mult: 3_129_871,
+            z_mult,
+            add: seed_formula == SEED_ADD,
+            ignore_y: any_y,
+            lcg_mult: 42_317_861,
+            lcg_add: 11,
+            shift: 16,
+        })
+    }
+
+    /// [x_mult, z_mult, add (0/1), ignore_y (0/1), lcg_mult, lcg_add, shift], from `hashParams()` in JS.
+    fn from_params(p: &[i32]) -> Result<Hash, &'static str> {
+        if p.len() != 7 {
+            return Err("Hash parameters must have 7 entries.");
+        }
+        if p[6] < 0 || p[6] > MAX_HASH_SHIFT {
+            return Err("Hash shift out of range.");
+        }
+        Ok(Hash {
+            x_mult: p[0],
+            z_mult: p[1],
+            add: p[2] != 0,
+            ignore_y: p[3] != 0,
+            lcg_mult: p[4],
+            lcg_add: p[5],
+            shift: p[6] as u32,
+        })
+    }
+}
+
+impl Hash {
+    /// The seed's Z/Y part, which is the same for every X.
+    #[inline(always)]
+    fn zy_term(&self, y: i32, z: i32) -> i32 {
+        let yy = if self.ignore_y { 0 } else { y };
+        let az = z.wrapping_mul(self.z_mult);
+        if self.add { az.wrapping_add(yy) } else { az ^ yy }
+    }
+
+    /// Seed from its X part (x*x_mult) and Z/Y part.
+    #[inline(always)]
+    fn seed(&self, x_term: i32, zy_term: i32) -> i32 {
+        if self.add { x_term.wrapping_add(zy_term) } else { x_term ^ zy_term }
+    }
+
+    /// Packed offset from the seed (mix + extract).
+    #[inline(always)]
+    fn offset(&self, l: i32) -> u16 {
+        let l = l
+            .wrapping_mul(l)
+            .wrapping_mul(self.lcg_mult)
+            .wrapping_add(l.wrapping_mul(self.lcg_add));
+        (((l as u32) >> self.shift) & 0xFFF) as u16
+    }
+}
+
+#[cfg(test)]
+fn packed_offset_12bit(x: i32, y: i32, z: i32, h: &Hash) -> u16 {
+    h.offset(h.seed(x.wrapping_mul(h.x_mult), h.zy_term(y, z)))
+}
 
-    // x*3129871 happens as i32 multiply (wrap) then cast to long in vanilla expression
-    let x_term = (x.wrapping_mul(3_129_871) as i64);
+/// Per-sample seed parts for scanning rows of candidates (fixed y and z). Candidate x's X term
+/// x*x_mult steps by x_mult along the row (see `x_terms`), each sample adds its precomputed
+/// dx*x_mult, and its Z/Y part is set once per row by `start_row`. Only the mix is left per
+/// sample and candidate: `pred(i, x_term)` is packed_offset_12bit(x+dx, y+dy, z+dz).
+struct RowSeeds<'a> {
+    h: Hash,
+    rel_dy: &'a [i32],
+    rel_dz: &'a [i32],
+    dx_term: Vec<i32>,
+    zy_term: Vec<i32>,
+}
 
-    // z term is long multiply
-    let z_term = (z as i64).wrapping_mul(116_129_781i64);
+impl<'a> RowSeeds<'a> {
+    fn new(rel_dx: &[i32], rel_dy: &'a [i32], rel_dz: &'a [i32], h: &Hash) -> Self {
+        RowSeeds {
+            h: *h,
+            rel_dy,
+            rel_dz,
+            dx_term: rel_dx.iter().map(|&d| d.wrapping_mul(h.x_mult)).collect(),
+            zy_term: vec![0; rel_dx.len()],
+        }
+    }
 
-    let mut l: i64 = x_term ^ z_term ^ (yy as i64);
+    fn start_row(&mut self, y: i32, z: i32) {
+        for i in 0..self.zy_term.len() {
+            self.zy_term[i] = self.h.zy_term(y.wrapping_add(self.rel_dy[i]), z.wrapping_add(self.rel_dz[i]));
+        }
+    }
 
-    l = l
-        .wrapping_mul(l)
-        .wrapping_mul(42_317_861i64)
-        .wrapping_add(l.wrapping_mul(11i64));
+    #[inline(always)]
+    fn pred(&self, i: usize, x_term: i32) -> u16 {
+        self.h.offset(self.h.seed(x_term.wrapping_add(self.dx_term[i]), self.zy_term[i]))
+    }
+}
 
-    let u = l as u64;
-    ((u >> 16) & 0xFFF) as u16
+/// (x, x*x_mult) for x0..=x1, the X term advancing by one add per candidate.
+#[inline(always)]
+fn x_terms(x0: i32, x1: i32, h: &Hash) -> impl Iterator<Item = (i32, i32)> {
+    let step = h.x_mult;
+    (x0..=x1).scan(x0.wrapping_mul(step), move |t, x| {
+        let cur = *t;
+        *t = t.wrapping_add(step);
+        Some((x, cur))
+    })
+}
+
+fn check_inputs(
+    rel_dx: &[i32], rel_dy: &[i32], rel_dz: &[i32],
+    rel_packed: &[u16], rel_mask: &[u16], rel_drip: &[u8],
+    x0: i32, x1: i32, y0: i32, y1: i32, z0: i32, z1: i32,
+) -> Result<(), &'static str> {
+    let n = rel_dx.len();
+    if rel_dy.len() != n || rel_dz.len() != n || rel_packed.len() != n || rel_mask.len() != n || rel_drip.len() != n {
+        return Err("Input arrays must have the same length.");
+    }
+    if x0 > x1 || y0 > y1 || z0 > z1 {
+        return Err("Invalid bounds (min > max).");
+    }
+    Ok(())
 }
 
 #[inline(always)]
@@ -53,160 +184,239 @@ fn dripstone_nibble_distance(expected: u8, predicted: u8) -> i32 {
     }
 }
 
-/// Strict scan: returns Int32Array [x,y,z, x,y,z, ...]
-#[wasm_bindgen]
-pub fn scan_strict_box(
-    rel_dx: &[i32],
-    rel_dy: &[i32],
-    rel_dz: &[i32],
-    rel_packed: &[u16],
-    rel_mask: &[u16],
-    rel_drip: &[u8],
-    post1_12_any_y: bool,
-    x0: i32, x1: i32,
-    y0: i32, y1: i32,
-    z0: i32, z1: i32,
-    max_matches: u32,
-) -> Result<Int32Array, JsValue> {
-    let n = rel_dx.len();
-    if rel_dy.len() != n || rel_dz.len() != n || rel_packed.len() != n || rel_mask.len() != n || rel_drip.len() != n {
-        return Err(JsValue::from_str("Input arrays must have the same length."));
+/// Strict match of one sample (dripstone X/Z nibbles match as plateaus).
+#[inline(always)]
+fn sample_matches(pred: u16, exp: u16, mask: u16, drip: bool) -> bool {
+    if !drip {
+        return (pred & mask) == exp;
     }
-    if x0 > x1 || y0 > y1 || z0 > z1 {
-        return Err(JsValue::from_str("Invalid bounds (min > max)."));
+    for axis in 0..3 {
+        if (mask >> (axis * 4)) & 0xF == 0 { continue; }
+        let pn = axis_nibble(pred, axis);
+        let en = axis_nibble(exp, axis);
+        let ok = if axis == 1 { pn == en } else { dripstone_nibble_matches(en, pn) };
+        if !ok { return false; }
     }
+    true
+}
+
+/// Dripstone X/Z nibbles clamped to 3..=12: two nibbles match as plateaus (0-3 and 12-15 each
+/// one position) exactly when their clamped values are equal.
+#[inline(always)]
+fn clamp_drip_nibbles(v: u16) -> u16 {
+    let x = (v & 0xF).clamp(3, 12);
+    let z = ((v >> 8) & 0xF).clamp(3, 12);
+    (v & 0x0F0) | x | (z << 8)
+}
+
+/// Candidates per iteration of the strict scanner: 4 in builds with wasm `simd128`
+/// (wasm/pkg-simd), else 1.
+const SIMD_LANES: u32 = if cfg!(all(target_arch = "wasm32", target_feature = "simd128")) { 4 } else { 1 };
+
+/// Four i32 lanes. With `simd128` this is one v128 register; other builds (wasm/pkg, native
+/// tests) get the same operations on a plain array.
+#[cfg(all(target_arch = "wasm32", target_feature = "simd128"))]
+mod lanes {
+    use core::arch::wasm32::*;
+
+    #[derive(Clone, Copy)]
+    pub struct I32x4(v128);
+
+    impl I32x4 {
+        #[inline(always)] pub fn splat(v: i32) -> Self { I32x4(i32x4_splat(v)) }
+        #[inline(always)] pub fn new(a: i32, b: i32, c: i32, d: i32) -> Self { I32x4(i32x4(a, b, c, d)) }
+        #[inline(always)] pub fn add(self, o: Self) -> Self { I32x4(i32x4_add(self.0, o.0)) }
+        #[inline(always)] pub fn mul(self, o: Self) -> Self { I32x4(i32x4_mul(self.0, o.0)) }
+        #[inline(always)] pub fn xor(self, o: Self) -> Self { I32x4(v128_xor(self.0, o.0)) }
+        #[inline(always)] pub fn and(self, o: Self) -> Self { I32x4(v128_and(self.0, o.0)) }
+        #[inline(always)] pub fn or(self, o: Self) -> Self { I32x4(v128_or(self.0, o.0)) }
+        #[inline(always)] pub fn shr(self, n: u32) -> Self { I32x4(u32x4_shr(self.0, n)) }
+        #[inline(always)] pub fn shl(self, n: u32) -> Self { I32x4(i32x4_shl(self.0, n)) }
+        #[inline(always)] pub fn min(self, o: Self) -> Self { I32x4(i32x4_min(self.0, o.0)) }
+        #[inline(always)] pub fn max(self, o: Self) -> Self { I32x4(i32x4_max(self.0, o.0)) }
+        /// All ones in the lanes that are equal, zero elsewhere.
+        #[inline(always)] pub fn eq(self, o: Self) -> Self { I32x4(i32x4_eq(self.0, o.0)) }
+        #[inline(always)] pub fn any(self) -> bool { v128_any_true(self.0) }
+        /// Bit i is the sign bit of lane i.
+        #[inline(always)] pub fn bitmask(self) -> u8 { i32x4_bitmask(self.0) }
+    }
+}
+
+#[cfg(not(all(target_arch = "wasm32", target_feature = "simd128")))]
+mod lanes {
+    #[derive(Clone, Copy)]
+    pub struct I32x4([i32; 4]);
 
+    impl I32x4 {
+        #[inline(always)]
+        fn zip(self, o: Self, f: impl Fn(i32, i32) -> i32) -> Self {
+            I32x4([f(self.0[0], o.0[0]), f(self.0[1], o.0[1]), f(self.0[2], o.0[2]), f(self.0[3], o.0[3])])
+        }
+        #[inline(always)] pub fn splat(v: i32) -> Self { I32x4([v; 4]) }
+        #[inline(always)] pub fn new(a: i32, b: i32, c: i32, d: i32) -> Self { I32x4([a, b, c, d]) }
+        #[inline(always)] pub fn add(self, o: Self) -> Self { self.zip(o, i32::wrapping_add) }
+        #[inline(always)] pub fn mul(self, o: Self) -> Self { self.zip(o, i32::wrapping_mul) }
+        #[inline(always)] pub fn xor(self, o: Self) -> Self { self.zip(o, |a, b| a ^ b) }
+        #[inline(always)] pub fn and(self, o: Self) -> Self { self.zip(o, |a, b| a & b) }
+        #[inline(always)] pub fn or(self, o: Self) -> Self { self.zip(o, |a, b| a | b) }
+        #[inline(always)] pub fn shr(self, n: u32) -> Self { I32x4(self.0.map(|a| ((a as u32) >> n) as i32)) }
+        #[inline(always)] pub fn shl(self, n: u32) -> Self { I32x4(self.0.map(|a| a << n)) }
+        #[inline(always)] pub fn min(self, o: Self) -> Self { self.zip(o, i32::min) }
+        #[inline(always)] pub fn max(self, o: Self) -> Self { self.zip(o, i32::max) }
+        #[inline(always)] pub fn eq(self, o: Self) -> Self { self.zip(o, |a, b| if a == b { -1 } else { 0 }) }
+        #[inline(always)] pub fn any(self) -> bool { self.0.iter().any(|&a| a != 0) }
+        #[inline(always)] pub fn bitmask(self) -> u8 {
+            self.0.iter().enumerate().fold(0, |m, (i, &a)| m | (((a < 0) as u8) << i))
+        }
+    }
+}
+
+/// `strict_scan` for four consecutive X candidates at a time, one per lane. Only the X term of
+/// the seed differs between lanes: x*x_mult steps by 4*x_mult per iteration, and each sample's
+/// Z/Y part is computed once per row. A lane drops out at its first failing sample; the rest of
+/// the samples are skipped once every lane has. Lanes past x1 start out dropped.
+fn strict_scan_x4(
+    rel_dx: &[i32], rel_dy: &[i32], rel_dz: &[i32],
+    rel_packed: &[u16], rel_mask: &[u16], rel_drip: &[u8],
+    any_y: bool,
+    x0: i32, x1: i32, y0: i32, y1: i32, z0: i32, z1: i32,
+    max_matches: u32,
+    h: &Hash,
+) -> Vec<i32> {
+    use lanes::I32x4;
+
+    let n = rel_dx.len();
     let mut out: Vec<i32> = Vec::with_capacity((max_matches as usize).saturating_mul(3));
 
-    if post1_12_any_y {
-        let y = y0;
+    // Per sample: the mask / expected value to compare with. Dripstone samples compare with
+    // clamped X/Z nibbles (see `clamp_drip_nibbles`).
+    let mut rows = RowSeeds::new(rel_dx, rel_dy, rel_dz, h);
+    let mask: Vec<I32x4> = rel_mask.iter().map(|&m| I32x4::splat(m as i32)).collect();
+    let exp: Vec<I32x4> = (0..n)
+        .map(|i| {
+            let e = if rel_drip[i] != 0 { clamp_drip_nibbles(rel_packed[i]) & rel_mask[i] } else { rel_packed[i] };
+            I32x4::splat(e as i32)
+        })
+        .collect();
+    let mut zy_term: Vec<I32x4> = vec![I32x4::splat(0); n];
+
+    let lane = I32x4::new(0, 1, 2, 3);
+    let x_mult = I32x4::splat(h.x_mult);
+    let x_step = I32x4::splat(h.x_mult.wrapping_mul(4));
+    let lcg_mult = I32x4::splat(h.lcg_mult);
+    let lcg_add = I32x4::splat(h.lcg_add);
+    let bits12 = I32x4::splat(0xFFF);
+    let nibble = I32x4::splat(0xF);
+    let y_bits = I32x4::splat(0x0F0);
+    let (lo, hi) = (I32x4::splat(3), I32x4::splat(12));
+
+    let y_end = if any_y { y0 } else { y1 };
+    for y in y0..=y_end {
         for z in z0..=z1 {
-            for x in x0..=x1 {
-                let mut ok = true;
+            rows.start_row(y, z);
+            for i in 0..n {
+                zy_term[i] = I32x4::splat(rows.zy_term[i]);
+            }
+
+            let mut x = x0;
+            let mut x_term = I32x4::splat(x0).add(lane).mul(x_mult);
+            loop {
+                let left = x1 as i64 - x as i64;
+                let mut alive = lane.min(I32x4::splat(left.min(3) as i32)).eq(lane);
 
                 for i in 0..n {
-                    let ax = x.wrapping_add(rel_dx[i]);
-                    let ay = y.wrapping_add(rel_dy[i]);
-                    let az = z.wrapping_add(rel_dz[i]);
-
-                    let pred = packed_offset_12bit(ax, ay, az, true);
-                    let mask = rel_mask[i];
-                    let exp  = rel_packed[i];
-
-                    if rel_drip[i] == 0 {
-                        if (pred & mask) != exp { ok = false; break; }
-                    } else {
-                        for axis in 0..3 {
-                            let nib_mask = ((mask >> (axis * 4)) & 0xF) as u16;
-                            if nib_mask == 0 { continue; }
-
-                            let pn = axis_nibble(pred, axis);
-                            let en = axis_nibble(exp, axis);
-
-                            if axis == 1 {
-                                if pn != en { ok = false; break; }
-                            } else {
-                                if !dripstone_nibble_matches(en, pn) { ok = false; break; }
-                            }
-                        }
-                        if !ok { break; }
+                    let ax = x_term.add(I32x4::splat(rows.dx_term[i]));
+                    let l = if h.add { ax.add(zy_term[i]) } else { ax.xor(zy_term[i]) };
+                    let l = l.mul(l).mul(lcg_mult).add(l.mul(lcg_add));
+                    let mut pred = l.shr(h.shift).and(bits12);
+                    if rel_drip[i] != 0 {
+                        let px = pred.and(nibble).max(lo).min(hi);
+                        let pz = pred.shr(8).and(nibble).max(lo).min(hi);
+                        pred = pred.and(y_bits).or(px).or(pz.shl(8));
                     }
+                    alive = alive.and(pred.and(mask[i]).eq(exp[i]));
+                    if !alive.any() { break; }
                 }
 
-                if ok {
-                    out.push(x); out.push(y); out.push(z);
-                    if (out.len() / 3) as u32 >= max_matches {
-                        return Ok(Int32Array::from(out.as_slice()));
+                if alive.any() {
+                    let bits = alive.bitmask();
+                    for k in 0..4 {
+                        if (bits >> k) & 1 == 0 { continue; }
+                        out.push(x.wrapping_add(k)); out.push(y); out.push(z);
+                        if (out.len() / 3) as u32 >= max_matches {
+                            return out;
+                        }
                     }
                 }
+
+                if left < 4 { break; }
+                x = x.wrapping_add(4);
+                x_term = x_term.add(x_step);
             }
         }
-    } else {
-        for y in y0..=y1 {
-            for z in z0..=z1 {
-                for x in x0..=x1 {
-                    let mut ok = true;
-
-                    for i in 0..n {
-                        let ax = x.wrapping_add(rel_dx[i]);
-                        let ay = y.wrapping_add(rel_dy[i]);
-                        let az = z.wrapping_add(rel_dz[i]);
-
-                        let pred = packed_offset_12bit(ax, ay, az, false);
-                        let mask = rel_mask[i];
-                        let exp  = rel_packed[i];
-
-                        if rel_drip[i] == 0 {
-                            if (pred & mask) != exp { ok = false; break; }
-                        } else {
-                            for axis in 0..3 {
-                                let nib_mask = ((mask >> (axis * 4)) & 0xF) as u16;
-                                if nib_mask == 0 { continue; }
-
-                                let pn = axis_nibble(pred, axis);
-                                let en = axis_nibble(exp, axis);
-
-                                if axis == 1 {
-                                    if pn != en { ok = false; break; }
-                                } else {
-                                    if !dripstone_nibble_matches(en, pn) { ok = false; break; }
-                                }
-                            }
-                            if !ok { break; }
-                        }
-                    }
+    }
+    out
+}
 
-                    if ok {
-                        out.push(x); out.push(y); out.push(z);
-                        if (out.len() / 3) as u32 >= max_matches {
-                            return Ok(Int32Array::from(out.as_slice()));
-                        }
+fn strict_scan(
+    rel_dx: &[i32], rel_dy: &[i32], rel_dz: &[i32],
+    rel_packed: &[u16], rel_mask: &[u16], rel_drip: &[u8],
+    any_y: bool,
+    x0: i32, x1: i32, y0: i32, y1: i32, z0: i32, z1: i32,
+    max_matches: u32,
+    h: &Hash,
+) -> Vec<i32> {
+    if SIMD_LANES > 1 {
+        return strict_scan_x4(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, any_y,
+            x0, x1, y0, y1, z0, z1, max_matches, h);
+    }
+    let n = rel_dx.len();
+    let mut out: Vec<i32> = Vec::with_capacity((max_matches as usize).saturating_mul(3));
+    let mut rows = RowSeeds::new(rel_dx, rel_dy, rel_dz, h);
+
+    let y_end = if any_y { y0 } else { y1 };
+    for y in y0..=y_end {
+        for z in z0..=z1 {
+            rows.start_row(y, z);
+            for (x, x_term) in x_terms(x0, x1, h) {
+                let mut ok = true;
+                for i in 0..n {
+                    let pred = rows.pred(i, x_term);
+                    if !sample_matches(pred, rel_packed[i], rel_mask[i], rel_drip[i] != 0) { ok = false; break; }
+                }
+
+                if ok {
+                    out.push(x); out.push(y); out.push(z);
+                    if (out.len() / 3) as u32 >= max_matches {
+                        return out;
                     }
                 }
             }
         }
     }
-
-    Ok(Int32Array::from(out.as_slice()))
+    out
 }
 
-/// Scored scan: returns Int32Array [x,y,z,score, x,y,z,score, ...]
-#[wasm_bindgen]
-pub fn scan_scored_box(
-    rel_dx: &[i32],
-    rel_dy: &[i32],
-    rel_dz: &[i32],
-    rel_packed: &[u16],
-    rel_mask: &[u16],
-    rel_drip: &[u8],
-    post1_12_any_y: bool,
-    x0: i32, x1: i32,
-    y0: i32, y1: i32,
-    z0: i32, z1: i32,
+fn scored_scan(
+    rel_dx: &[i32], rel_dy: &[i32], rel_dz: &[i32],
+    rel_packed: &[u16], rel_mask: &[u16], rel_drip: &[u8],
+    any_y: bool,
+    x0: i32, x1: i32, y0: i32, y1: i32, z0: i32, z1: i32,
     max_matches: u32,
     tol: u8,
     max_score: i32,
-) -> Result<Int32Array, JsValue> {
+    h: &Hash,
+) -> Vec<i32> {
     let n = rel_dx.len();
-    if rel_dy.len() != n || rel_dz.len() != n || rel_packed.len() != n || rel_mask.len() != n || rel_drip.len() != n {
-        return Err(JsValue::from_str("Input arrays must have the same length."));
-    }
-    if x0 > x1 || y0 > y1 || z0 > z1 {
-        return Err(JsValue::from_str("Invalid bounds (min > max)."));
-    }
-
     let tol_i = tol as i32;
     let mut out: Vec<i32> = Vec::with_capacity((max_matches as usize).saturating_mul(4));
+    let mut rows = RowSeeds::new(rel_dx, rel_dy, rel_dz, h);
 
-    let mut check_candidate = |x: i32, y: i32, z: i32, post1_12: bool| -> Option<i32> {
+    let check_candidate = |rows: &RowSeeds, x_term: i32| -> Option<i32> {
         let mut score: i32 = 0;
 
         for i in 0..n {
-            let ax = x.wrapping_add(rel_dx[i]);
-            let ay = y.wrapping_add(rel_dy[i]);
-            let az = z.wrapping_add(rel_dz[i]);
-
-            let pred = packed_offset_12bit(ax, ay, az, post1_12);
+            let pred = rows.pred(i, x_term);
             let exp  = rel_packed[i];
             let mask = rel_mask[i];
             let drip = rel_drip[i] != 0;
@@ -239,32 +449,425 @@ pub fn scan_scored_box(
         Some(score)
     };
 
-    if post1_12_any_y {
-        let y = y0;
+    let y_end = if any_y { y0 } else { y1 };
+    for y in y0..=y_end {
         for z in z0..=z1 {
-            for x in x0..=x1 {
-                if let Some(s) = check_candidate(x, y, z, true) {
+            rows.start_row(y, z);
+            for (x, x_term) in x_terms(x0, x1, h) {
+                if let Some(s) = check_candidate(&rows, x_term) {
                     out.push(x); out.push(y); out.push(z); out.push(s);
                     if (out.len() / 4) as u32 >= max_matches {
-                        return Ok(Int32Array::from(out.as_slice()));
+                        return out;
                     }
                 }
             }
         }
-    } else {
-        for y in y0..=y1 {
-            for z in z0..=z1 {
-                for x in x0..=x1 {
-                    if let Some(s) = check_candidate(x, y, z, false) {
-                        out.push(x); out.push(y); out.push(z); out.push(s);
-                        if (out.len() / 4) as u32 >= max_matches {
-                            return Ok(Int32Array::from(out.as_slice()));
-                        }
+    }
+    out
+}
+
+fn outlier_scan(
+    rel_dx: &[i32], rel_dy: &[i32], rel_dz: &[i32],
+    rel_packed: &[u16], rel_mask: &[u16], rel_drip: &[u8],
+    any_y: bool,
+    x0: i32, x1: i32, y0: i32, y1: i32, z0: i32, z1: i32,
+    max_matches: u32,
+    max_outliers: u32,
+    h: &Hash,
+) -> Vec<i32> {
+    let n = rel_dx.len();
+    let mut out: Vec<i32> = Vec::new();
+    let mut found: u32 = 0;
+    let mut outliers: Vec<i32> = Vec::with_capacity(max_outliers as usize + 1);
+    let mut rows = RowSeeds::new(rel_dx, rel_dy, rel_dz, h);
+
+    let y_end = if any_y { y0 } else { y1 };
+    for y in y0..=y_end {
+        for z in z0..=z1 {
+            rows.start_row(y, z);
+            for (x, x_term) in x_terms(x0, x1, h) {
+                outliers.clear();
+                for i in 0..n {
+                    let pred = rows.pred(i, x_term);
+                    if !sample_matches(pred, rel_packed[i], rel_mask[i], rel_drip[i] != 0) {
+                        outliers.push(i as i32);
+                        if outliers.len() as u32 > max_outliers { break; }
                     }
                 }
+                if outliers.len() as u32 > max_outliers { continue; }
+
+                out.push(x); out.push(y); out.push(z); out.push(outliers.len() as i32);
+                out.extend_from_slice(&outliers);
+                found += 1;
+                if found >= max_matches {
+                    return out;
+                }
             }
         }
     }
+    out
+}
+
+/// Candidates the strict scanners check per iteration: 4 in the simd128 build (wasm/pkg-simd),
+/// else 1. The worker uses it to tell the two builds apart.
+#[wasm_bindgen]
+pub fn simd_lanes() -> u32 {
+    SIMD_LANES
+}
+
+/// Strict scan: returns Int32Array [x,y,z, x,y,z, ...]
+/// `seed_formula` is `SEED_XOR` or `SEED_ADD` (b1.6-tb3).
+#[wasm_bindgen]
+pub fn scan_strict_box(
+    rel_dx: &[i32],
+    rel_dy: &[i32],
+    rel_dz: &[i32],
+    rel_packed: &[u16],
+    rel_mask: &[u16],
+    rel_drip: &[u8],
+    post1_12_any_y: bool,
+    x0: i32, x1: i32,
+    y0: i32, y1: i32,
+    z0: i32, z1: i32,
+    max_matches: u32,
+    seed_formula: u8,
+) -> Result<Int32Array, JsValue> {
+    check_inputs(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, x0, x1, y0, y1, z0, z1).map_err(JsValue::from_str)?;
+    let h = Hash::builtin(seed_formula, post1_12_any_y).map_err(JsValue::from_str)?;
+    let out = strict_scan(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, post1_12_any_y,
+        x0, x1, y0, y1, z0, z1, max_matches, &h);
+    Ok(Int32Array::from(out.as_slice()))
+}
+
+/// `scan_strict_box` with any hash definition: `hash` is `hashParams()` from grassfinder_hash.js.
+/// `any_y` only limits the scan to the y0 layer; whether Y feeds the hash is up to the hash.
+#[wasm_bindgen]
+pub fn scan_strict_box_hash(
+    rel_dx: &[i32],
+    rel_dy: &[i32],
+    rel_dz: &[i32],
+    rel_packed: &[u16],
+    rel_mask: &[u16],
+    rel_drip: &[u8],
+    any_y: bool,
+    x0: i32, x1: i32,
+    y0: i32, y1: i32,
+    z0: i32, z1: i32,
+    max_matches: u32,
+    hash: &[i32],
+) -> Result<Int32Array, JsValue> {
+    check_inputs(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, x0, x1, y0, y1, z0, z1).map_err(JsValue::from_str)?;
+    let h = Hash::from_params(hash).map_err(JsValue::from_str)?;
+    let out = strict_scan(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, any_y,
+        x0, x1, y0, y1, z0, z1, max_matches, &h);
+    Ok(Int32Array::from(out.as_slice()))
+}
 
+/// Scored scan: returns Int32Array [x,y,z,score, x,y,z,score, ...]
+/// `seed_formula` is `SEED_XOR` or `SEED_ADD` (b1.6-tb3).
+#[wasm_bindgen]
+pub fn scan_scored_box(
+    rel_dx: &[i32],
+    rel_dy: &[i32],
+    rel_dz: &[i32],
+    rel_packed: &[u16],
+    rel_mask: &[u16],
+    rel_drip: &[u8],
+    post1_12_any_y: bool,
+    x0: i32, x1: i32,
+    y0: i32, y1: i32,
+    z0: i32, z1: i32,
+    max_matches: u32,
+    tol: u8,
+    max_score: i32,
+    seed_formula: u8,
+) -> Result<Int32Array, JsValue> {
+    check_inputs(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, x0, x1, y0, y1, z0, z1).map_err(JsValue::from_str)?;
+    let h = Hash::builtin(seed_formula, post1_12_any_y).map_err(JsValue::from_str)?;
+    let out = scored_scan(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, post1_12_any_y,
+        x0, x1, y0, y1, z0, z1, max_matches, tol, max_score, &h);
+    Ok(Int32Array::from(out.as_slice()))
+}
+
+/// `scan_scored_box` with any hash definition (see `scan_strict_box_hash`).
+#[wasm_bindgen]
+pub fn scan_scored_box_hash(
+    rel_dx: &[i32],
+    rel_dy: &[i32],
+    rel_dz: &[i32],
+    rel_packed: &[u16],
+    rel_mask: &[u16],
+    rel_drip: &[u8],
+    any_y: bool,
+    x0: i32, x1: i32,
+    y0: i32, y1: i32,
+    z0: i32, z1: i32,
+    max_matches: u32,
+    tol: u8,
+    max_score: i32,
+    hash: &[i32],
+) -> Result<Int32Array, JsValue> {
+    check_inputs(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, x0, x1, y0, y1, z0, z1).map_err(JsValue::from_str)?;
+    let h = Hash::from_params(hash).map_err(JsValue::from_str)?;
+    let out = scored_scan(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, any_y,
+        x0, x1, y0, y1, z0, z1, max_matches, tol, max_score, &h);
     Ok(Int32Array::from(out.as_slice()))
 }
+
+/// Outlier-tolerant scan: samples must match strictly, but up to `max_outliers` of them may fail.
+/// Returns Int32Array of variable-length records [x,y,z,k, i_1..i_k, x,y,z,k, ...] where
+/// i_1..i_k are the indices of the samples treated as outliers.
+/// `seed_formula` is `SEED_XOR` or `SEED_ADD` (b1.6-tb3).
+#[wasm_bindgen]
+pub fn scan_outlier_box(
+    rel_dx: &[i32],
+    rel_dy: &[i32],
+    rel_dz: &[i32],
+    rel_packed: &[u16],
+    rel_mask: &[u16],
+    rel_drip: &[u8],
+    post1_12_any_y: bool,
+    x0: i32, x1: i32,
+    y0: i32, y1: i32,
+    z0: i32, z1: i32,
+    max_matches: u32,
+    max_outliers: u32,
+    seed_formula: u8,
+) -> Result<Int32Array, JsValue> {
+    check_inputs(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, x0, x1, y0, y1, z0, z1).map_err(JsValue::from_str)?;
+    let h = Hash::builtin(seed_formula, post1_12_any_y).map_err(JsValue::from_str)?;
+    let out = outlier_scan(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, post1_12_any_y,
+        x0, x1, y0, y1, z0, z1, max_matches, max_outliers, &h);
+    Ok(Int32Array::from(out.as_slice()))
+}
+
+/// `scan_outlier_box` with any hash definition (see `scan_strict_box_hash`).
+#[wasm_bindgen]
+pub fn scan_outlier_box_hash(
+    rel_dx: &[i32],
+    rel_dy: &[i32],
+    rel_dz: &[i32],
+    rel_packed: &[u16],
+    rel_mask: &[u16],
+    rel_drip: &[u8],
+    any_y: bool,
+    x0: i32, x1: i32,
+    y0: i32, y1: i32,
+    z0: i32, z1: i32,
+    max_matches: u32,
+    max_outliers: u32,
+    hash: &[i32],
+) -> Result<Int32Array, JsValue> {
+    check_inputs(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, x0, x1, y0, y1, z0, z1).map_err(JsValue::from_str)?;
+    let h = Hash::from_params(hash).map_err(JsValue::from_str)?;
+    let out = outlier_scan(rel_dx, rel_dy, rel_dz, rel_packed, rel_mask, rel_drip, any_y,
+        x0, x1, y0, y1, z0, z1, max_matches, max_outliers, &h);
+    Ok(Int32Array::from(out.as_slice()))
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    // The tests call the scanners behind the `#[wasm_bindgen]` exports: the exports build JS
+    // values, which only works on wasm32.
+
+    // Reference values from the JS implementation (`hashOffset` in grassfinder_hash.js with the
+    // built-in pre-1.8 and b1.6-tb3 hashes): (x, y, z, xor, add).
+    const REF: &[(i32, i32, i32, u16, u16)] = &[
+        (0, 0, 0, 0x000, 0x000),
+        (1, 64, 1, 0xbe4, 0xa2f),
+        (-1, 70, -1, 0x76e, 0x4ad),
+        (123, 64, -20, 0x5e2, 0xbb3),
+        (-30000000, 255, 29999999, 0xb0d, 0x27a),
+        (2147483, -64, -2147483, 0x1b4, 0x639),
+        (8, 63, 9, 0xc1b, 0x0a1),
+        (-4821, 12, 91273, 0xb80, 0x903),
+    ];
+
+    #[test]
+    fn packed_offset_matches_js_reference() {
+        for &(x, y, z, xor, add) in REF {
+            let xor_hash = Hash::builtin(SEED_XOR, false).unwrap();
+            let add_hash = Hash::builtin(SEED_ADD, false).unwrap();
+            assert_eq!(packed_offset_12bit(x, y, z, &xor_hash), xor, "xor at {x} {y} {z}");
+            assert_eq!(packed_offset_12bit(x, y, z, &add_hash), add, "add at {x} {y} {z}");
+        }
+    }
+
+    // Build a dataset from the JS reference offsets around (x, y, z) and check that
+    // both scanners find it with the given seed formula.
+    fn recover(seed_formula: u8) {
+        let (tx, ty, tz) = (123, 64, -20);
+        let rel: [(i32, i32, i32); 6] = [(0, 0, 0), (1, 0, 0), (0, 0, 1), (-2, 1, 3), (4, -1, -1), (3, 0, 2)];
+        let dx: Vec<i32> = rel.iter().map(|r| r.0).collect();
+        let dy: Vec<i32> = rel.iter().map(|r| r.1).collect();
+        let dz: Vec<i32> = rel.iter().map(|r| r.2).collect();
+        let h = Hash::builtin(seed_formula, false).unwrap();
+        let packed: Vec<u16> = rel
+            .iter()
+            .map(|r| packed_offset_12bit(tx + r.0, ty + r.1, tz + r.2, &h))
+            .collect();
+        let mask = vec![0xFFFu16; rel.len()];
+        let drip = vec![0u8; rel.len()];
+
+        let strict = strict_scan(&dx, &dy, &dz, &packed, &mask, &drip, false,
+            100, 140, 62, 66, -40, 0, 16, &h);
+        assert!(strict.chunks(3).any(|m| m == [tx, ty, tz]));
+
+        let scored = scored_scan(&dx, &dy, &dz, &packed, &mask, &drip, false,
+            100, 140, 62, 66, -40, 0, 16, 1, 0, &h);
+        assert!(scored.chunks(4).any(|m| m == [tx, ty, tz, 0]));
+    }
+
+    #[test]
+    fn scanners_recover_xor_seed() {
+        recover(SEED_XOR);
+    }
+
+    #[test]
+    fn scanners_recover_add_seed() {
+        recover(SEED_ADD);
+    }
+
+    #[test]
+    fn outlier_scan_reports_wrong_samples() {
+        let (tx, ty, tz) = (123, 64, -20);
+        let rel: [(i32, i32, i32); 7] = [(0, 0, 0), (1, 0, 0), (0, 0, 1), (-2, 1, 3), (4, -1, -1), (3, 0, 2), (-3, 0, -2)];
+        let dx: Vec<i32> = rel.iter().map(|r| r.0).collect();
+        let dy: Vec<i32> = rel.iter().map(|r| r.1).collect();
+        let dz: Vec<i32> = rel.iter().map(|r| r.2).collect();
+        let h = Hash::builtin(SEED_XOR, false).unwrap();
+        let mut packed: Vec<u16> = rel
+            .iter()
+            .map(|r| packed_offset_12bit(tx + r.0, ty + r.1, tz + r.2, &h))
+            .collect();
+        // Two misread samples.
+        packed[2] ^= 0x008;
+        packed[5] ^= 0x300;
+        let mask = vec![0xFFFu16; rel.len()];
+        let drip = vec![0u8; rel.len()];
+
+        let scan = |k: u32| outlier_scan(&dx, &dy, &dz, &packed, &mask, &drip, false,
+            100, 140, 62, 66, -40, 0, 16, k, &h);
+
+        let two = scan(2);
+        let mut i = 0;
+        let mut hit = None;
+        while i < two.len() {
+            let k = two[i + 3] as usize;
+            if two[i..i + 3] == [tx, ty, tz] { hit = Some(two[i + 4..i + 4 + k].to_vec()); }
+            i += 4 + k;
+        }
+        assert_eq!(hit, Some(vec![2, 5]));
+
+        let one = scan(1);
+        assert!(!one.chunks(4).any(|m| m[..3] == [tx, ty, tz]));
+    }
+
+    #[test]
+    fn hash_params_drive_the_scanners() {
+        // Built-in XOR hash through the parameter list: same offsets as the seed formula.
+        let params = [3_129_871, 116_129_781, 0, 0, 42_317_861, 11, 16];
+        let h = Hash::from_params(&params).unwrap();
+        for &(x, y, z, xor, _) in REF {
+            assert_eq!(packed_offset_12bit(x, y, z, &h), xor, "params at {x} {y} {z}");
+        }
+
+        // A modded hash (other multipliers, ADD, Y ignored, shift 12) is recovered on one layer.
+        let params = [1_234_567, 7_654_321, 1, 1, 25_214_903, 5, 12];
+        let h = Hash::from_params(&params).unwrap();
+        let (tx, tz) = (-77, 301);
+        let rel: [(i32, i32); 5] = [(0, 0), (1, 0), (0, 1), (-2, 3), (4, -1)];
+        let dx: Vec<i32> = rel.iter().map(|r| r.0).collect();
+        let dz: Vec<i32> = rel.iter().map(|r| r.1).collect();
+        let dy = vec![0i32; rel.len()];
+        let packed: Vec<u16> = rel.iter().map(|r| packed_offset_12bit(tx + r.0, 0, tz + r.1, &h)).collect();
+        let mask = vec![0xFFFu16; rel.len()];
+        let drip = vec![0u8; rel.len()];
+
+        let strict = strict_scan(&dx, &dy, &dz, &packed, &mask, &drip, true,
+            -100, -50, 64, 70, 280, 320, 16, &h);
+        assert_eq!(strict, vec![tx, 64, tz]);
+
+        let outliers = outlier_scan(&dx, &dy, &dz, &packed, &mask, &drip, true,
+            -100, -50, 64, 70, 280, 320, 16, 0, &h);
+        assert_eq!(outliers, vec![tx, 64, tz, 0]);
+    }
+
+    #[test]
+    fn bad_hash_params_are_rejected() {
+        assert!(Hash::from_params(&[1, 1, 0, 0, 1, 1]).is_err());
+        assert!(Hash::from_params(&[1, 1, 0, 0, 1, 1, 21]).is_err());
+        assert!(Hash::from_params(&[1, 1, 0, 0, 1, 1, 20]).is_ok());
+    }
+
+    #[test]
+    fn lane_scanner_matches_scalar_scanner() {
+        // Natively `strict_scan` is the scalar loop. Few samples, so both report plenty of
+        // matches to compare; tall grass (Y masked out), dripstone (plateau nibbles), widths
+        // that aren't a multiple of 4 and the match cap are all covered.
+        let rel: [(i32, i32, i32); 3] = [(0, 0, 0), (2, 0, -1), (-1, 1, 2)];
+        let dx: Vec<i32> = rel.iter().map(|r| r.0).collect();
+        let dy: Vec<i32> = rel.iter().map(|r| r.1).collect();
+        let dz: Vec<i32> = rel.iter().map(|r| r.2).collect();
+        let mask = [0xFFFu16, 0xF0F, 0xF0F];
+        let drip = [0u8, 0, 1];
+        let plateau = |v: u16| v <= 3 || v >= 12;
+        for (h, any_y) in [(Hash::builtin(SEED_XOR, true).unwrap(), true), (Hash::builtin(SEED_ADD, false).unwrap(), false)] {
+            // A target whose dripstone sample sits on both plateaus, so clamping matters.
+            let tx = (40..60)
+                .find(|&x| {
+                    let d = packed_offset_12bit(x + rel[2].0, 64 + rel[2].1, -30 + rel[2].2, &h);
+                    plateau(d & 0xF) && plateau((d >> 8) & 0xF)
+                })
+                .unwrap();
+            let packed: Vec<u16> = rel.iter().zip(&mask)
+                .map(|(r, &m)| packed_offset_12bit(tx + r.0, 64 + r.1, -30 + r.2, &h) & m)
+                .collect();
+            for n in 1..=3 {
+                for x1 in [0, 1, 2, 3, 4, 61, 62, 63] {
+                    for cap in [3, 1000] {
+                        let scan = |f: fn(&[i32], &[i32], &[i32], &[u16], &[u16], &[u8], bool, i32, i32, i32, i32, i32, i32, u32, &Hash) -> Vec<i32>|
+                            f(&dx[..n], &dy[..n], &dz[..n], &packed[..n], &mask[..n], &drip[..n], any_y, 0, x1, 62, 66, -40, -20, cap, &h);
+                        let scalar = scan(strict_scan);
+                        assert!(x1 < 61 || !scalar.is_empty());
+                        assert_eq!(scan(strict_scan_x4), scalar, "n={n} x1={x1} cap={cap} any_y={any_y}");
+                    }
+                }
+            }
+        }
+    }
+
+    #[test]
+    fn row_seeds_match_packed_offset() {
+        // Rows crossing x = 0 and the i32 wrap of x*x_mult, for both seed formulas with and without Y.
+        let dx = [0, 5, -7];
+        let dy = [0, -1, 2];
+        let dz = [0, 3, -4];
+        for h in [Hash::builtin(SEED_XOR, true), Hash::builtin(SEED_XOR, false), Hash::builtin(SEED_ADD, false)] {
+            let h = h.unwrap();
+            let mut rows = RowSeeds::new(&dx, &dy, &dz, &h);
+            for (x0, y, z) in [(-20, 64, 17), (2147000, -3, -29999990), (-29999999, 255, 5)] {
+                rows.start_row(y, z);
+                for (x, x_term) in x_terms(x0, x0 + 40, &h) {
+                    for i in 0..dx.len() {
+                        assert_eq!(rows.pred(i, x_term), packed_offset_12bit(x + dx[i], y + dy[i], z + dz[i], &h), "at {x} {y} {z}, sample {i}");
+                    }
+                }
+            }
+        }
+    }
+
+    #[test]
+    fn unknown_seed_formula_is_rejected() {
+        assert!(Hash::builtin(7, true).is_err());
+    }
+
+    #[test]
+    fn bad_inputs_are_rejected() {
+        assert!(check_inputs(&[0], &[0], &[0], &[0], &[0xFFF], &[], 0, 0, 0, 0, 0, 0).is_err());
+        assert!(check_inputs(&[0], &[0], &[0], &[0], &[0xFFF], &[0], 1, 0, 0, 0, 0, 0).is_err());
+        assert!(check_inputs(&[0], &[0], &[0], &[0], &[0xFFF], &[0], 0, 0, 0, 0, 0, 0).is_ok());
+    }
+}
@@ -0,0 +1,82 @@
+/* tslint:disable */
+/* eslint-disable */
+
+/**
+ * Outlier-tolerant scan: samples must match strictly, but up to `max_outliers` of them may fail.
+ * Returns Int32Array of variable-length records [x,y,z,k, i_1..i_k, x,y,z,k, ...] where
+ * i_1..i_k are the indices of the samples treated as outliers.
+ * `seed_formula` is `SEED_XOR` or `SEED_ADD` (b1.6-tb3).
+ */
+export function scan_outlier_box(rel_dx: Int32Array, rel_dy: Int32Array, rel_dz: Int32Array, rel_packed: Uint16Array, rel_mask: Uint16Array, rel_drip: Uint8Array, post1_12_any_y: boolean, x0: number, x1: number, y0: number, y1: number, z0: number, z1: number, max_matches: number, max_outliers: number, seed_formula: number): Int32Array;
+
+/**
+ * `scan_outlier_box` with any hash definition (see `scan_strict_box_hash`).
+ */
+export function scan_outlier_box_hash(rel_dx: Int32Array, rel_dy: Int32Array, rel_dz: Int32Array, rel_packed: Uint16Array, rel_mask: Uint16Array, rel_drip: Uint8Array, any_y: boolean, x0: number, x1: number, y0: number, y1: number, z0: number, z1: number, max_matches: number, max_outliers: number, hash: Int32Array): Int32Array;
+
+/**
+ * Scored scan: returns Int32Array [x,y,z,score, x,y,z,score, ...]
+ * `seed_formula` is `SEED_XOR` or `SEED_ADD` (b1.6-tb3).
+ */
+export function scan_scored_box(rel_dx: Int32Array, rel_dy: Int32Array, rel_dz: Int32Array, rel_packed: Uint16Array, rel_mask: Uint16Array, rel_drip: Uint8Array, post1_12_any_y: boolean, x0: number, x1: number, y0: number, y1: number, z0: number, z1: number, max_matches: number, tol: number, max_score: number, seed_formula: number): Int32Array;
+
+/**
+ * `scan_scored_box` with any hash definition (see `scan_strict_box_hash`).
+ */
+export function scan_scored_box_hash(rel_dx: Int32Array, rel_dy: Int32Array, rel_dz: Int32Array, rel_packed: Uint16Array, rel_mask: Uint16Array, rel_drip: Uint8Array, any_y: boolean, x0: number, x1: number, y0: number, y1: number, z0: number, z1: number, max_matches: number, tol: number, max_score: number, hash: Int32Array): Int32Array;
+
+/**
+ * Strict scan: returns Int32Array [x,y,z, x,y,z, ...]
+ * `seed_formula` is `SEED_XOR` or `SEED_ADD` (b1.6-tb3).
+ */
+export function scan_strict_box(rel_dx: Int32Array, rel_dy: Int32Array, rel_dz: Int32Array, rel_packed: Uint16Array, rel_mask: Uint16Array, rel_drip: Uint8Array, post1_12_any_y: boolean, x0: number, x1: number, y0: number, y1: number, z0: number, z1: number, max_matches: number, seed_formula: number): Int32Array;
+
+/**
+ * `scan_strict_box` with any hash definition: `hash` is `hashParams()` from grassfinder_hash.js.
+ * `any_y` only limits the scan to the y0 layer; whether Y feeds the hash is up to the hash.
+ */
+export function scan_strict_box_hash(rel_dx: Int32Array, rel_dy: Int32Array, rel_dz: Int32Array, rel_packed: Uint16Array, rel_mask: Uint16Array, rel_drip: Uint8Array, any_y: boolean, x0: number, x1: number, y0: number, y1: number, z0: number, z1: number, max_matches: number, hash: Int32Array): Int32Array;
+
+/**
+ * Candidates the strict scanners check per iteration: 4 in the simd128 build (wasm/pkg-simd),
+ * else 1. The worker uses it to tell the two builds apart.
+ */
+export function simd_lanes(): number;
+
+export type InitInput = RequestInfo | URL | Response | BufferSource | WebAssembly.Module;
+
+export interface InitOutput {
+  readonly memory: WebAssembly.Memory;
+  readonly scan_outlier_box: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number, j: number, k: number, l: number, m: number, n: number, o: number, p: number, q: number, r: number, s: number, t: number, u: number, v: number, w: number) => void;
+  readonly scan_outlier_box_hash: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number, j: number, k: number, l: number, m: number, n: number, o: number, p: number, q: number, r: number, s: number, t: number, u: number, v: number, w: number, x: number) => void;
+  readonly scan_scored_box: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number, j: number, k: number, l: number, m: number, n: number, o: number, p: number, q: number, r: number, s: number, t: number, u: number, v: number, w: number, x: number) => void;
+  readonly scan_scored_box_hash: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number, j: number, k: number, l: number, m: number, n: number, o: number, p: number, q: number, r: number, s: number, t: number, u: number, v: number, w: number, x: number, y: number) => void;
+  readonly scan_strict_box: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number, j: number, k: number, l: number, m: number, n: number, o: number, p: number, q: number, r: number, s: number, t: number, u: number, v: number) => void;
+  readonly scan_strict_box_hash: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number, j: number, k: number, l: number, m: number, n: number, o: number, p: number, q: number, r: number, s: number, t: number, u: number, v: number, w: number) => void;
+  readonly simd_lanes: () => number;
+  readonly __wbindgen_add_to_stack_pointer: (a: number) => number;
+  readonly __wbindgen_malloc: (a: number, b: number) => number;
+  readonly __wbindgen_free: (a: number, b: number, c: number) => void;
+}
+
+export type SyncInitInput = BufferSource | WebAssembly.Module;
+
+/**
+* Instantiates the given `module`, which can either be bytes or
+* a precompiled `WebAssembly.Module`.
+*
+* @param {{ module: SyncInitInput }} module - Passing `SyncInitInput` directly is deprecated.
+*
+* @returns {InitOutput}
+*/
+export function initSync(module: { module: SyncInitInput } | SyncInitInput): InitOutput;
+
+/**
+* If `module_or_path` is {RequestInfo} or {URL}, makes a request and
+* for everything else, calls `WebAssembly.instantiate` directly.
+*
+* @param {{ module_or_path: InitInput | Promise<InitInput> }} module_or_path - Passing `InitInput` directly is deprecated.
+*
+* @returns {Promise<InitOutput>}
+*/
+export default function __wbg_init (module_or_path?: { module_or_path: InitInput | Promise<InitInput> } | InitInput | Promise<InitInput>): Promise<InitOutput>;